@@ -0,0 +1,145 @@
+import { LanguageSupport, StreamLanguage } from '@codemirror/language';
+
+import { createEngine } from './engine';
+import lexer from './lexer';
+import { initIntrospections, textChange } from './utils';
+
+// Highlighting styles for lexer tokens
+const tokenStyles = {
+  AND: 'keyword',
+  OR: 'keyword',
+  NOT: 'keyword',
+  IN: 'keyword',
+  STARTSWITH: 'keyword',
+  ENDSWITH: 'keyword',
+  TRUE: 'bool',
+  FALSE: 'bool',
+  NONE: 'null',
+  NAME: 'propertyName',
+  STRING_VALUE: 'string',
+  INT_VALUE: 'number',
+  FLOAT_VALUE: 'number',
+  PAREN_L: 'paren',
+  PAREN_R: 'paren',
+  DOT: 'punctuation',
+  COMMA: 'punctuation',
+  EQUALS: 'compareOperator',
+  NOT_EQUALS: 'compareOperator',
+  GREATER: 'compareOperator',
+  GREATER_EQUAL: 'compareOperator',
+  LESS: 'compareOperator',
+  LESS_EQUAL: 'compareOperator',
+  CONTAINS: 'compareOperator',
+  NOT_CONTAINS: 'compareOperator',
+};
+
+// Completion item types, used by CodeMirror to pick an icon
+const scopeTypes = {
+  field: 'property',
+  comparison: 'keyword',
+  value: 'constant',
+  logical: 'keyword',
+};
+
+export const djangoqlLanguage = StreamLanguage.define({
+  name: 'djangoql',
+  token(stream) {
+    if (stream.eatSpace()) {
+      return null;
+    }
+    const input = stream.string.slice(stream.pos);
+    const tok = lexer.setInput(input).lex();
+    // String values are stored without surrounding quotes
+    const length = tok && (
+      tok.value.length + (tok.name === 'STRING_VALUE' ? 2 : 0)
+    );
+    if (!tok || lexer.index !== length) {
+      // The lexer has skipped a character it doesn't recognize
+      stream.next();
+      return 'invalid';
+    }
+    stream.match(input.slice(0, length));
+    return tokenStyles[tok.name];
+  },
+});
+
+function applySuggestion(view, engine, item) {
+  const { state } = view;
+  const text = state.doc.toString();
+  const result = engine.applySuggestion(
+    text,
+    state.selection.main.head,
+    item,
+  );
+  view.dispatch({
+    changes: textChange(text, result.text),
+    selection: { anchor: result.cursorPos },
+    userEvent: 'input.complete',
+  });
+}
+
+/**
+ * CodeMirror completion source driven by the completion engine. Options of
+ * fields with suggestions API and models from models API are loaded
+ * asynchronously.
+ */
+export function djangoqlCompletionSource(engine) {
+  const source = (context) => {
+    const text = context.state.doc.toString();
+    const completion = engine.complete(text, context.pos);
+    const { fieldOptions } = completion;
+
+    if (completion.missingModel) {
+      // Complete once the related model is loaded from the models API
+      return engine.loadModel(completion.missingModel).then(
+        () => source(context),
+        () => null,
+      );
+    }
+
+    const toResult = (suggestions) => {
+      if (!suggestions.length) {
+        return null;
+      }
+      return {
+        from: completion.from,
+        to: completion.to,
+        options: suggestions.map((item) => ({
+          label: item.label || item.text,
+          detail: item.explanation,
+          type: scopeTypes[completion.scope],
+          apply: (view) => applySuggestion(view, engine, item),
+        })),
+        // Suggestions are already filtered by the engine
+        filter: false,
+      };
+    };
+
+    if (fieldOptions && fieldOptions.cacheKey) {
+      return engine.loadFieldOptions(fieldOptions).then(
+        toResult,
+        () => null,
+      );
+    }
+    return toResult(completion.suggestions);
+  };
+  return source;
+}
+
+/**
+ * DjangoQL language support for CodeMirror 6. Accepts the same
+ * "introspections" (either an object or an URL), "valuesCaseSensitive",
+ * "cacheSize" and request options ("fetch", "headers", "credentials",
+ * "timeout" and "transformResponse") as the completion widget. Completion
+ * requires the autocompletion() extension from @codemirror/autocomplete
+ * (included in basicSetup).
+ */
+export function djangoql(config) {
+  const engine = createEngine(null, config);
+  initIntrospections(engine, config.introspections);
+  return new LanguageSupport(djangoqlLanguage, [
+    djangoqlLanguage.data.of({
+      autocomplete: djangoqlCompletionSource(engine),
+    }),
+  ]);
+}
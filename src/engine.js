@@ -0,0 +1,1045 @@
+import {
+  checkIntrospections,
+  checkModels,
+  comparisonOperators,
+  fieldDefinition,
+  resolveName,
+} from './introspection';
+import lexer, {
+  escapeString,
+  unescapeString,
+  whitespaceRegex,
+} from './lexer';
+import LRUCache from './lru-cache';
+import parse from './parser';
+import { abortError } from './request-manager';
+import { escapeHtml, setUrlParams } from './utils';
+import validate from './validator';
+
+const operatorExplanations = {
+  '!=': 'is not equal to',
+  '~': 'contains',
+  '!~': 'does not contain',
+};
+
+export function suggestion(text, snippetBefore, snippetAfter, explanation) {
+  // text is being displayed in completion box and pasted when you hit Enter.
+  // snippetBefore is an optional extra text to be pasted before main text.
+  // snippetAfter is an optional text to be pasted after. It may also include
+  // "|" symbol to designate desired cursor position after paste.
+  // explanation is an optional hint displayed next to the text.
+  // suggestionText is HTML, so both text and explanation are escaped.
+  let suggestionText = escapeHtml(text);
+  const result = {
+    text,
+    snippetBefore: snippetBefore || '',
+    snippetAfter: snippetAfter || '',
+  };
+  if (typeof explanation !== 'undefined') {
+    suggestionText += `<i>${escapeHtml(explanation)}</i>`;
+    result.explanation = explanation;
+  }
+  result.suggestionText = suggestionText;
+  return result;
+}
+
+function optionParts(option) {
+  // Field options are either plain values, or objects with value and
+  // optional label and description to be displayed instead
+  if (option !== null && typeof option === 'object') {
+    const value = String(option.value);
+    return {
+      value,
+      label: option.label ? String(option.label) : value,
+      description: option.description || undefined,
+    };
+  }
+  return { value: String(option), label: String(option) };
+}
+
+const comparisonTokens = ['EQUALS', 'NOT_EQUALS', 'CONTAINS', 'NOT_CONTAINS',
+  'GREATER_EQUAL', 'GREATER', 'LESS_EQUAL', 'LESS'];
+const valueTokens = ['STRING_VALUE', 'INT_VALUE', 'FLOAT_VALUE', 'TRUE',
+  'FALSE', 'NONE'];
+
+function comparisonEnd(tokens, start) {
+  // Returns the index of the last token of a complete comparison which
+  // starts with the NAME token at the given index, or -1
+  const name = (index) => tokens[index] && tokens[index].name;
+  let i = start + 1;
+  if (comparisonTokens.indexOf(name(i)) >= 0) {
+    return valueTokens.indexOf(name(i + 1)) >= 0 ? i + 1 : -1;
+  }
+  if (name(i) === 'NOT') {
+    i += 1;
+  }
+  if (name(i) === 'STARTSWITH' || name(i) === 'ENDSWITH') {
+    return name(i + 1) === 'STRING_VALUE' ? i + 1 : -1;
+  }
+  if (name(i) === 'IN' && name(i + 1) === 'PAREN_L') {
+    i += 2;
+    while (valueTokens.indexOf(name(i)) >= 0) {
+      if (name(i + 1) === 'PAREN_R') {
+        return i + 1;
+      }
+      if (name(i + 1) !== 'COMMA') {
+        return -1;
+      }
+      i += 2;
+    }
+  }
+  return -1;
+}
+
+function comparisonField(tokens) {
+  // Returns the field NAME token if tokens end with a comparison operator,
+  // e.g. 'name ~' or 'name not startswith', otherwise null
+  const name = (index) => tokens[index] && tokens[index].name;
+  let i = tokens.length - 1;
+  if (comparisonTokens.indexOf(name(i)) < 0) {
+    if (name(i) !== 'STARTSWITH' && name(i) !== 'ENDSWITH') {
+      return null;
+    }
+    if (name(i - 1) === 'NOT') {
+      i -= 1;
+    }
+  }
+  return name(i - 1) === 'NAME' ? tokens[i - 1] : null;
+}
+
+function listStart(tokens) {
+  // If tokens end inside the value list of an "in" comparison, i.e. with the
+  // paren or with a comma after a value, returns the field NAME token and
+  // the index of the opening paren. Otherwise returns null.
+  const name = (index) => tokens[index] && tokens[index].name;
+  let i = tokens.length - 1;
+  while (name(i) === 'COMMA' && valueTokens.indexOf(name(i - 1)) >= 0) {
+    i -= 2;
+  }
+  if (name(i) !== 'PAREN_L' || name(i - 1) !== 'IN') {
+    return null;
+  }
+  const fieldIndex = name(i - 2) === 'NOT' ? i - 3 : i - 2;
+  if (name(fieldIndex) !== 'NAME') {
+    return null;
+  }
+  return { field: tokens[fieldIndex], paren: i };
+}
+
+// Completion engine. Contains all the completion logic and doesn't depend on
+// DOM, so it can be used on its own, e.g. with custom editors or in workers.
+function Engine(introspections, options) {
+  this.currentModel = null;
+  this.models = {};
+  this.suggestionsAPIUrl = null;
+  this.modelsAPIUrl = null;
+  this.valuesCaseSensitive = !!(options && options.valuesCaseSensitive);
+  this.lexer = lexer;
+  // Custom fetch() implementation, the global one is used by default
+  this.fetch = (options && options.fetch) || null;
+  // Settings of requests to introspections and suggestions API URLs
+  this.requestOptions = {
+    headers: options && options.headers,
+    credentials: options && options.credentials,
+    timeout: (options && options.timeout) || 0,
+    transformResponse: options && options.transformResponse,
+  };
+  this.optionsCache = new LRUCache((options && options.cacheSize) || 100);
+  // Custom sources of field options, by "model.field" or by field type
+  this.valueProviders = (options && options.valueProviders) || {};
+  // Send other conditions of the query along with requests for field options
+  this.sendQueryContext = !!(options && options.sendQueryContext);
+
+  if (introspections) {
+    this.setIntrospections(introspections);
+  }
+}
+
+Engine.prototype = {
+  setIntrospections(data) {
+    // Unusable parts of introspections are left out. Returns a list of
+    // problems found, see checkIntrospections().
+    const { introspections, problems } = checkIntrospections(data);
+    this.currentModel = introspections.current_model;
+    this.models = introspections.models;
+    this.suggestionsAPIUrl = introspections.suggestions_api_url;
+    // With models API, the schema could include only the current model, and
+    // related models are loaded on demand
+    this.modelsAPIUrl = introspections.models_api_url || null;
+    this.modelRequests = {};
+    return problems;
+  },
+
+  addModels(models) {
+    // Add model definitions loaded from the models API. Returns a list of
+    // problems found, the same as .setIntrospections().
+    const checked = checkModels(models, [], true);
+    Object.assign(this.models, checked.models);
+    return checked.problems;
+  },
+
+  modelUrl(name) {
+    return setUrlParams(this.modelsAPIUrl, { model: name });
+  },
+
+  loadModel(name) {
+    // Fetch definition of the model from the models API. Returns a Promise
+    // which is resolved once it's loaded, requests are shared.
+    if (this.models[name]) {
+      return Promise.resolve(this.models[name]);
+    }
+    if (!this.modelRequests[name]) {
+      this.modelRequests[name] = this.fetchJson(this.modelUrl(name))
+        .then((data) => {
+          this.addModels(data.models);
+          if (!this.models[name]) {
+            throw new Error(`model ${name} is not found`);
+          }
+          return this.models[name];
+        });
+      this.modelRequests[name].catch(() => {
+        // Don't cache failures, so the request could be retried
+        delete this.modelRequests[name];
+      });
+    }
+    return this.modelRequests[name];
+  },
+
+  fetchJson(url, signal) {
+    // Returns a Promise of the response data. Request could be canceled with
+    // an optional AbortSignal.
+    const fetchFn = this.fetch || fetch;
+    const {
+      headers,
+      credentials,
+      timeout,
+      transformResponse,
+    } = this.requestOptions;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timer = null;
+    let timedOut = false;
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      } else {
+        signal.addEventListener('abort', abort);
+      }
+    }
+    if (timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        abort();
+      }, timeout);
+    }
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    };
+
+    return fetchFn(url, {
+      // Headers could be a function, e.g. to provide fresh auth tokens
+      headers: typeof headers === 'function' ? headers(url) : headers,
+      credentials,
+      signal: controller.signal,
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`failed to fetch from ${url}`);
+      }
+      return response.json().then((data) => (
+        transformResponse ? transformResponse(data, response) : data
+      ));
+    }, (e) => {
+      // Network error
+      throw e.name === 'AbortError'
+        ? e
+        : new Error(`failed to fetch from ${url}`);
+    }).then((data) => {
+      cleanup();
+      return data;
+    }, (e) => {
+      cleanup();
+      throw timedOut ? new Error(`request to ${url} timed out`) : e;
+    });
+  },
+
+  loadIntrospections(url) {
+    // Returns a Promise which is resolved once introspections are loaded,
+    // with a list of problems found, the same as .setIntrospections()
+    return this.fetchJson(url).then((data) => this.setIntrospections(data));
+  },
+
+  parse(text) {
+    return parse(text);
+  },
+
+  validate(text) {
+    // Returns a list of diagnostics for the query, including syntax errors
+    const { ast, error } = parse(text);
+    if (error) {
+      return [{
+        severity: 'error',
+        message: error.message,
+        start: error.start,
+        end: error.end,
+      }];
+    }
+    if (!this.currentModel) {
+      // Introspections are not loaded yet
+      return [];
+    }
+    return validate(ast, this.models, this.currentModel);
+  },
+
+  resolveName(name) {
+    return resolveName(this.models, this.currentModel, name);
+  },
+
+  getContext(text, cursorPos) {
+    // This function returns an object with the following 4 properties:
+    let prefix; // text already entered by user in the current scope
+    let scope = null; // 'field', 'comparison', 'value', 'logical' or null
+    let model = null; // model, set for 'field', 'comparison' and 'value'
+    let field = null; // field, set for 'comparison' and 'value'
+    // Related model which should be loaded from the models API first
+    let missingModel;
+    // Stack of models that includes all entered models
+    let modelStack = [this.currentModel];
+
+    let nameParts;
+    let resolvedName;
+    let lastToken = null;
+    let nextToLastToken = null;
+    // Position of the opening quote if the cursor is inside of a string
+    // which is not terminated before it, e.g. 'name ~ "war and pe'
+    const openString = this.lexer.openStringStart(text.slice(0, cursorPos));
+    const tokens = this.lexer
+      .setInput(text.slice(0, openString >= 0 ? openString : cursorPos))
+      .lexAll();
+    const allTokens = this.lexer.setInput(text).lexAll();
+    let currentFullToken = null;
+    if (openString >= 0) {
+      // Words inside of the string are not tokens, but the whole string is,
+      // if it's terminated after the cursor
+      currentFullToken = allTokens.find((t) => (
+        t.start === openString && t.name === 'STRING_VALUE'
+      )) || null;
+    } else if (tokens.length && tokens[tokens.length - 1].end >= cursorPos) {
+      // if cursor is positioned on the last token then remove it.
+      // We are only interested in tokens preceding current.
+      currentFullToken = allTokens[tokens.length - 1];
+      tokens.pop();
+    }
+    if (tokens.length) {
+      lastToken = tokens[tokens.length - 1];
+      if (tokens.length > 1) {
+        nextToLastToken = tokens[tokens.length - 2];
+      }
+    }
+
+    // Current token which is currently being typed may be not complete yet,
+    // so lexer may fail to recognize it correctly. So we define current token
+    // prefix as a string without whitespace positioned after previous token
+    // and until current cursor position.
+    prefix = text.slice(lastToken ? lastToken.end : 0, cursorPos);
+    const whitespace = prefix.match(whitespaceRegex);
+    if (whitespace) {
+      prefix = prefix.slice(whitespace[0].length);
+    }
+    // Value list of an "in" comparison, e.g. 'status in ("a", "b'. Paren or
+    // comma right before the cursor is the current token, so add it back.
+    const listTokens = prefix === '(' || prefix === ','
+      ? tokens.concat(currentFullToken)
+      : tokens;
+    const listOpening = listStart(listTokens);
+    const openingParen = prefix === '(';
+    if (openingParen || (listOpening && prefix === ',')) {
+      // Paren or comma should not be a part of suggestion
+      prefix = '';
+    }
+    let list = null;
+    // Search mode for options after "startswith" and "endswith"
+    let searchMode = null;
+    // The prefix as it's typed, if it differs from the unescaped one
+    let rawPrefix = null;
+    // Whether there's an open paren which could be closed
+    let closingParen = false;
+    // Whether None could be suggested as a value
+    let nullable = false;
+    // Whether the comparison at the cursor has None as a value
+    let comparedWithNone = false;
+    const operatorField = comparisonField(tokens);
+    const valueExpected = listOpening || (whitespace && operatorField);
+
+    const logicalTokens = ['AND', 'OR'];
+    // Tokens which could precede the opening paren of a group
+    const groupTokens = ['AND', 'OR', 'NOT', 'PAREN_L'];
+    if (prefix === ')' && !whitespace) {
+      // Nothing to suggest right after right paren
+    } else if (openString < 0 && currentFullToken
+        && currentFullToken.name === 'STRING_VALUE'
+        && currentFullToken.end === cursorPos) {
+      // Nothing to suggest right after a closed string, the value is complete
+    } else if (openString >= 0 && !valueExpected) {
+      // Nothing to suggest inside of a string which is not a value
+    } else if (!lastToken
+      || (logicalTokens.indexOf(lastToken.name) >= 0 && whitespace)
+      || (openingParen && groupTokens.indexOf(lastToken.name) >= 0)
+      || (prefix === '.' && lastToken && !whitespace)
+      || (lastToken.name === 'PAREN_L'
+        && (!nextToLastToken
+          || groupTokens.indexOf(nextToLastToken.name) >= 0))) {
+      scope = 'field';
+      model = this.currentModel;
+      if (prefix === '.') {
+        prefix = text.slice(lastToken.start, cursorPos);
+      }
+      nameParts = prefix.split('.');
+      if (nameParts.length > 1) {
+        // use last part as a prefix, analyze preceding parts to get the model
+        prefix = nameParts.pop();
+        resolvedName = this.resolveName(nameParts.join('.'));
+        ({ missingModel } = resolvedName);
+        if (resolvedName.model && !resolvedName.field) {
+          model = resolvedName.model;
+          modelStack = resolvedName.modelStack;
+        } else {
+          // if resolvedName.model is null that means that model wasn't found.
+          // if resolvedName.field is NOT null that means that the name
+          // preceding current prefix is a concrete field and not a relation,
+          // and therefore it can't have any properties.
+          scope = null;
+          model = null;
+        }
+      }
+      if (model && !this.models[model]) {
+        missingModel = model;
+      }
+    } else if (valueExpected) {
+      const name = (listOpening ? listOpening.field : operatorField).value;
+      resolvedName = this.resolveName(name);
+      ({ missingModel } = resolvedName);
+      if (resolvedName.model) {
+        scope = 'value';
+        model = resolvedName.model;
+        field = resolvedName.field;
+        modelStack = resolvedName.modelStack;
+        const definition = fieldDefinition(this.models, resolvedName, name);
+        if (prefix[0] === '"' && field
+            && (definition.type === 'str' || definition.options)) {
+          // Options are searched by unescaped string contents
+          rawPrefix = prefix.slice(1);
+          prefix = unescapeString(rawPrefix);
+        }
+        // None is a value of relations unless they're explicitly not
+        // nullable, while fields should be explicitly nullable. It can't be
+        // compared using other operators, nor listed, nor quoted.
+        nullable = !listOpening && rawPrefix === null
+          && ['EQUALS', 'NOT_EQUALS'].indexOf(lastToken.name) >= 0
+          && (field
+            ? !!(definition && definition.nullable)
+            : !(definition && definition.nullable === false));
+        if (lastToken.name === 'STARTSWITH' || lastToken.name === 'ENDSWITH') {
+          searchMode = lastToken.name.toLowerCase();
+        }
+        if (listOpening) {
+          list = this.getListContext(
+            text,
+            cursorPos,
+            listTokens[listTokens.length - 1],
+            allTokens.slice(listOpening.paren + 1),
+          );
+        }
+      }
+    } else if (lastToken && whitespace && lastToken.name === 'NAME') {
+      resolvedName = this.resolveName(lastToken.value);
+      ({ missingModel } = resolvedName);
+      if (resolvedName.model) {
+        scope = 'comparison';
+        model = resolvedName.model;
+        field = resolvedName.field;
+        modelStack = resolvedName.modelStack;
+        const valueStart = currentFullToken ? currentFullToken.end : cursorPos;
+        const value = allTokens.find((t) => t.start >= valueStart);
+        comparedWithNone = !!value && value.name === 'NONE';
+      }
+    } else if (lastToken && whitespace) {
+      // Logical operators are suggested after any complete comparison or
+      // group, so rely on what the parser expects before the current word
+      const expected = this.getExpectedTokens(
+        text.slice(0, cursorPos - prefix.length),
+      );
+      if (expected.indexOf('AND') >= 0) {
+        scope = 'logical';
+        closingParen = expected.indexOf('PAREN_R') >= 0;
+      }
+    }
+
+    const context = {
+      prefix,
+      scope,
+      model,
+      field,
+      currentFullToken,
+      modelStack,
+    };
+    if (missingModel) {
+      context.missingModel = missingModel;
+    }
+    if (list) {
+      context.list = list;
+    }
+    if (searchMode) {
+      context.searchMode = searchMode;
+    }
+    if (closingParen) {
+      context.closingParen = closingParen;
+    }
+    if (rawPrefix !== null && rawPrefix !== prefix) {
+      context.rawPrefix = rawPrefix;
+    }
+    if (nullable) {
+      context.nullable = nullable;
+    }
+    if (comparedWithNone) {
+      context.comparedWithNone = comparedWithNone;
+    }
+    if (scope === 'value' && this.sendQueryContext) {
+      const query = this.getQueryConditions(text, cursorPos);
+      if (query) {
+        context.query = query;
+      }
+    }
+    return context;
+  },
+
+  getExpectedTokens(text) {
+    // Returns names of tokens which the parser expects after the text.
+    // Characters which the lexer doesn't recognize are blanked out, so that
+    // a typo earlier in the query doesn't prevent suggestions
+    let lexed = text.replace(/\S/g, ' ');
+    this.lexer.setInput(text).lexAll().forEach((t) => {
+      lexed = lexed.slice(0, t.start) + text.slice(t.start, t.end)
+        + lexed.slice(t.end);
+    });
+    const { ast, error } = parse(lexed);
+    if (error) {
+      return error.start >= text.length ? error.expected : [];
+    }
+    return ast ? ['AND', 'OR', 'EOF'] : ['NAME', 'PAREN_L', 'NOT'];
+  },
+
+  getListContext(text, cursorPos, lastToken, listTokens) {
+    // Returns values already present in the list (except the one at the
+    // cursor position), and separators which should be pasted before and
+    // after the current value to keep the list valid
+    const values = [];
+    let next = null;
+    listTokens.some((t) => {
+      if (t.name === 'PAREN_R') {
+        return true;
+      }
+      if (t.start >= cursorPos && !next) {
+        next = t;
+      }
+      if (valueTokens.indexOf(t.name) >= 0
+          && (cursorPos <= t.start || cursorPos > t.end)) {
+        values.push(t.name === 'STRING_VALUE'
+          ? unescapeString(t.value)
+          : t.value);
+      }
+      return false;
+    });
+    const afterComma = lastToken.name === 'COMMA'
+      && (lastToken.end === cursorPos
+        || !whitespaceRegex.test(text.charAt(lastToken.end)));
+    return {
+      values,
+      separatorBefore: afterComma ? ' ' : '',
+      separatorAfter: next && next.name !== 'COMMA' ? ', ' : '',
+    };
+  },
+
+  getQueryConditions(text, cursorPos) {
+    // Returns complete comparisons of the query, except the one at the
+    // cursor position, joined with "and". The conditions could narrow down
+    // field options only if all of them must hold, so nothing is returned
+    // for queries with "or" or negated groups.
+    const tokens = this.lexer.setInput(text).lexAll();
+    const conditions = [];
+    let i = 0;
+    while (i < tokens.length) {
+      const { name, start } = tokens[i];
+      if (name === 'OR' || (name === 'NOT' && tokens[i + 1]
+          && tokens[i + 1].name === 'PAREN_L')) {
+        return '';
+      }
+      const end = name === 'NAME' ? comparisonEnd(tokens, i) : -1;
+      if (end > i) {
+        if (cursorPos < start || cursorPos > tokens[end].end) {
+          conditions.push(text.slice(start, tokens[end].end));
+        }
+        i = end + 1;
+      } else {
+        i += 1;
+      }
+    }
+    return conditions.join(' and ');
+  },
+
+  getFieldOptions(context) {
+    // Returns null if there are no options for the field in given context.
+    // Otherwise, options are either listed in the introspection schema, or
+    // should be fetched from the suggestions API using the cacheKey.
+    const model = this.models[context.model];
+    const field = context.field && model[context.field];
+    const fieldOptions = {
+      cacheKey: null,
+      context,
+      field,
+      model,
+      options: null,
+    };
+
+    if (context.scope !== 'value' || !field) {
+      return null;
+    }
+    const provider = this.getValueProvider(context, field);
+    if (provider) {
+      fieldOptions.provider = provider;
+      fieldOptions.cacheKey = [
+        'provider',
+        this.currentModel,
+        `${context.model}.${context.field}`,
+        context.prefix,
+      ].concat(context.searchMode || [], context.query || []).join('|');
+    } else if (!field.options) {
+      return null;
+    } else if (Array.isArray(field.options)) {
+      fieldOptions.options = field.options;
+    } else if (field.options === true) {
+      // Means get via API
+      if (!this.suggestionsAPIUrl) {
+        return null;
+      }
+      // Cached options are scoped per schema, since values of the same field
+      // could differ for another suggestions API or current model
+      fieldOptions.cacheKey = [
+        this.suggestionsAPIUrl,
+        this.currentModel,
+        `${context.model}.${context.field}`,
+        context.prefix,
+      ].concat(context.searchMode || [], context.query || []).join('|');
+    }
+    return fieldOptions;
+  },
+
+  getValueProvider(context, field) {
+    // Providers for specific fields take precedence over options listed in
+    // the schema, which take precedence over providers for field types
+    const providers = this.valueProviders;
+    const fieldProvider = providers[`${context.model}.${context.field}`];
+    if (fieldProvider) {
+      return fieldProvider;
+    }
+    return (!field.options && providers[field.type]) || null;
+  },
+
+  fieldOptionsParams(fieldOptions, page) {
+    // Parameters of the suggestions API request for the field options page
+    const { context } = fieldOptions;
+    const params = {
+      field: `${context.model}.${context.field}`,
+      search: context.prefix,
+    };
+    if (context.searchMode) {
+      params.search_mode = context.searchMode;
+    }
+    if (context.query) {
+      params.query = context.query;
+    }
+    if (page > 1) {
+      params.page = page;
+    }
+    return params;
+  },
+
+  fieldOptionsUrl(fieldOptions, page) {
+    // URL of the suggestions API request for the field options page. Options
+    // from value providers are identified by cache key and page instead.
+    if (fieldOptions.provider) {
+      return `${fieldOptions.cacheKey}|${page}`;
+    }
+    return setUrlParams(
+      this.suggestionsAPIUrl,
+      this.fieldOptionsParams(fieldOptions, page),
+    );
+  },
+
+  fetchFieldOptions(fieldOptions, page, signal) {
+    // Returns a Promise of the field options page, either from the value
+    // provider or from the suggestions API. Optional signal aborts it.
+    const { context, provider } = fieldOptions;
+    if (provider) {
+      return Promise.resolve()
+        .then(() => provider(context.prefix, page, context, signal))
+        .then((data) => ({ ...data, page }));
+    }
+    return this.fetchJson(this.fieldOptionsUrl(fieldOptions, page), signal);
+  },
+
+  getCachedOptions(fieldOptions) {
+    // Field options loaded so far, an object with "items", the number of the
+    // last loaded "page", "has_next" and the "loading" Promise while the
+    // next page is being loaded. Null if nothing is loaded yet.
+    return this.optionsCache.get(fieldOptions.cacheKey) || null;
+  },
+
+  nextOptionsPage(fieldOptions, loadMore) {
+    // Number of the field options page to be loaded, either the first one, or
+    // the next one if loadMore is set. Null if there's nothing to load, or
+    // it's being loaded already.
+    const cached = this.getCachedOptions(fieldOptions);
+    if (!cached || (!cached.page && !cached.loading)) {
+      return 1;
+    }
+    if (!cached.loading && loadMore && cached.has_next) {
+      return cached.page + 1;
+    }
+    return null;
+  },
+
+  loadOptionsPage(fieldOptions, page, signal) {
+    // Load the page of field options (see .nextOptionsPage()) and add it to
+    // the cache. Returns a Promise of the page data. Failed or aborted
+    // requests are not cached, so they could be retried.
+    const { cacheKey } = fieldOptions;
+    const cached = this.getCachedOptions(fieldOptions)
+      || { items: [], page: 0, has_next: false };
+    let loading = null;
+    // The cache could be cleared meanwhile, or the entry evicted
+    const isCurrent = () => (
+      this.optionsCache.get(cacheKey) === cached && cached.loading === loading
+    );
+    loading = this.fetchFieldOptions(fieldOptions, page, signal)
+      .then((data) => {
+        if (signal && signal.aborted) {
+          // Custom fetch() implementations and providers could ignore it
+          throw abortError();
+        }
+        if (isCurrent()) {
+          cached.items = cached.items.concat(data.items);
+          cached.page = page;
+          cached.has_next = !!data.has_next;
+          cached.loading = null;
+        }
+        return data;
+      })
+      .catch((e) => {
+        if (isCurrent()) {
+          cached.loading = null;
+          if (!cached.page) {
+            this.optionsCache.remove(cacheKey);
+          }
+        }
+        throw e;
+      });
+    cached.loading = loading;
+    this.optionsCache.set(cacheKey, cached);
+    return loading;
+  },
+
+  loadFieldOptions(fieldOptions, loadMore, signal) {
+    // Load the first page of field options, or the next one if loadMore is
+    // set, from the value provider or the suggestions API, unless it's
+    // cached. Returns a Promise of suggestions for all pages loaded so far.
+    const page = this.nextOptionsPage(fieldOptions, loadMore);
+    const cached = this.getCachedOptions(fieldOptions);
+    let promise;
+    if (page) {
+      promise = this.loadOptionsPage(fieldOptions, page, signal);
+    } else {
+      promise = Promise.resolve(cached.loading);
+    }
+    return promise.then(() => {
+      const loaded = this.getCachedOptions(fieldOptions);
+      return this.valueSuggestions(
+        loaded ? loaded.items : [],
+        fieldOptions.context,
+      );
+    });
+  },
+
+  filterOptions(options, prefix, searchMode) {
+    // Options match by either value or label. They should contain the
+    // prefix, or start or end with it, depending on the search mode.
+    const normalize = this.valuesCaseSensitive
+      ? (text) => text
+      : (text) => text.toLowerCase();
+    const search = normalize(prefix);
+    const matches = (text) => {
+      if (searchMode === 'startswith') {
+        return normalize(text).startsWith(search);
+      }
+      if (searchMode === 'endswith') {
+        return normalize(text).endsWith(search);
+      }
+      return normalize(text).indexOf(search) >= 0;
+    };
+    return options.filter((option) => {
+      const { value, label } = optionParts(option);
+      return matches(value) || (label !== value && matches(label));
+    });
+  },
+
+  valueSuggestions(options, context) {
+    // The escaped value is pasted, while the label (or the value itself)
+    // and the description are displayed.
+    // Inside of "in" lists, values already present are skipped, and list
+    // separators are pasted along with the value if needed. None follows
+    // the options if the field is nullable.
+    const list = context && context.list;
+    const snippetBefore = list ? `${list.separatorBefore}"` : '"';
+    const snippetAfter = list ? `"${list.separatorAfter}` : '"';
+    const suggestions = options.filter((option) => (
+      !list || list.values.indexOf(optionParts(option).value) < 0
+    )).map((option) => {
+      const { value, label, description } = optionParts(option);
+      const result = suggestion(
+        escapeString(value),
+        snippetBefore,
+        snippetAfter,
+        description,
+      );
+      if (label !== result.text) {
+        result.label = label;
+        result.suggestionText = suggestion(label, '', '', description)
+          .suggestionText;
+      }
+      return result;
+    });
+    if (context) {
+      return suggestions.concat(this.noneSuggestions(context));
+    }
+    return suggestions;
+  },
+
+  noneSuggestions(context) {
+    // None is suggested for nullable fields if it starts with the prefix,
+    // which is case-insensitive unless values are case-sensitive
+    if (!context.nullable
+        || !this.filterOptions(['None'], context.prefix, 'startswith').length) {
+      return [];
+    }
+    return [suggestion('None', '', ' ')];
+  },
+
+  suggest(context) {
+    // Returns suggestions for the given context (see .getContext()), the
+    // prefix they were filtered by and whether it's case-sensitive.
+    // Options fetched from the suggestions API are not included.
+    if (!this.currentModel || context.missingModel) {
+      // Introspections or related model definition are not loaded yet
+      return { prefix: '', suggestions: [], caseSensitive: true };
+    }
+    let { prefix } = context;
+    let suggestions = [];
+    let caseSensitive = true;
+    let snippetAfter;
+    let inSnippetAfter;
+    // default search filter - find anywhere in the string, case-sensitive
+    let searchFilter = (item) => item.text.indexOf(prefix) >= 0;
+
+    const { modelStack } = context;
+    const model = this.models[context.model];
+    const field = context.field && model[context.field];
+    const fieldOptions = this.getFieldOptions(context);
+
+    switch (context.scope) {
+      case 'field':
+        suggestions = Object.keys(model).filter((f) => {
+          const { relation } = model[f];
+          if ((model[f].type === 'relation')
+            // Check that the model from a field relation wasn't in the stack
+            && modelStack.includes(relation)
+            // Last element in the stack could be equal to context model.
+            // E.g. an "author" can have the "authors_in_genre" relation
+            && (modelStack.slice(-1)[0] !== relation)
+          ) {
+            return false;
+          }
+          return true;
+        }).map((f) => (
+          suggestion(f, '', model[f].type === 'relation' ? '.' : ' ')
+        ));
+        if (modelStack.length === 1) {
+          // Not a related model, so a group could be started here as well
+          suggestions.push(suggestion('(', '', ''));
+          suggestions.push(suggestion('not (', '', ''));
+        }
+        break;
+
+      case 'comparison':
+        snippetAfter = ' ';
+        inSnippetAfter = ' (|)';
+        if (field && field.type !== 'bool'
+            && (['str', 'date', 'datetime'].indexOf(field.type) >= 0
+              || field.options)) {
+          snippetAfter = ' "|"';
+          inSnippetAfter = ' ("|")';
+        }
+        if (context.comparedWithNone) {
+          // The value is already there, and only equality makes sense for it
+          snippetAfter = ' ';
+        }
+        suggestions = comparisonOperators(field).filter((op) => (
+          !context.comparedWithNone || op === '=' || op === '!='
+        )).map((op) => {
+          if (op === 'in' || op === 'not in') {
+            return suggestion(op, '', inSnippetAfter);
+          }
+          return suggestion(op, '', snippetAfter, operatorExplanations[op]);
+        });
+        // use "starts with" search filter instead of default
+        searchFilter = (item) => (
+          // See http://stackoverflow.com/a/4579228
+          item.text.lastIndexOf(prefix, 0) === 0
+        );
+        break;
+
+      case 'value':
+        if (fieldOptions) {
+          // Options loaded from the suggestions API are not included, but
+          // None is suggested anyway
+          suggestions = this.valueSuggestions(
+            this.filterOptions(
+              fieldOptions.options || [],
+              prefix,
+              context.searchMode,
+            ),
+            context,
+          );
+          // options are already filtered
+          searchFilter = null;
+          caseSensitive = this.valuesCaseSensitive;
+          break;
+        }
+        if (field && field.type === 'bool') {
+          suggestions = [
+            suggestion('True', '', ' '),
+            suggestion('False', '', ' '),
+          ];
+        } else if (field && field.type === 'unknown') {
+          // unknown field type, reset suggestions
+          prefix = '';
+        }
+        if (context.nullable) {
+          suggestions = suggestions.filter(searchFilter)
+            .concat(this.noneSuggestions(context));
+          searchFilter = null;
+        }
+        break;
+
+      case 'logical':
+        suggestions = [
+          suggestion('and', '', ' '),
+          suggestion('or', '', ' '),
+        ];
+        if (context.closingParen) {
+          suggestions.push(suggestion(')', '', ' '));
+        }
+        break;
+
+      default:
+        prefix = '';
+    }
+    if (searchFilter) {
+      suggestions = suggestions.filter(searchFilter);
+    }
+    return { prefix, suggestions, caseSensitive };
+  },
+
+  complete(text, cursorPos) {
+    // Returns everything needed to show completion at the cursor position as
+    // plain data. Suggestions should replace text between "from" and "to".
+    const context = this.getContext(text, cursorPos);
+    const { prefix, suggestions, caseSensitive } = this.suggest(context);
+    const { currentFullToken } = context;
+    return {
+      scope: context.scope,
+      model: context.model,
+      field: context.field,
+      modelStack: context.modelStack,
+      prefix,
+      from: this.prefixStart(context, cursorPos),
+      to: currentFullToken
+        ? Math.max(currentFullToken.end, cursorPos)
+        : cursorPos,
+      suggestions,
+      caseSensitive,
+      fieldOptions: this.getFieldOptions(context),
+      // Suggestions could be completed once the model is loaded
+      missingModel: (this.modelsAPIUrl && context.missingModel) || null,
+      context,
+    };
+  },
+
+  prefixStart(context, cursorPos) {
+    // Position where the prefix starts, which may be longer than the
+    // prefix itself if it contains escape sequences
+    return cursorPos - (context.rawPrefix || context.prefix).length;
+  },
+
+  applySuggestion(text, cursorPos, item) {
+    // Returns an object with new text and cursor position after pasting
+    // given suggestion at the cursor position
+    const context = this.getContext(text, cursorPos);
+    const { currentFullToken } = context;
+    const startPos = this.prefixStart(context, cursorPos);
+    // cutting current token (or the prefix, if the lexer couldn't recognize
+    // it as a token) from the string
+    const tokenEndPos = currentFullToken ? currentFullToken.end : cursorPos;
+    const textValue = text.slice(0, startPos) + text.slice(tokenEndPos);
+
+    const textBefore = textValue.slice(0, startPos);
+    // preventing double spaces after pasting the suggestion
+    let textAfter = textValue.slice(startPos).replace(/^\s+/, '');
+
+    let { snippetBefore, snippetAfter } = item;
+    const snippetAfterParts = snippetAfter.split('|');
+    if (snippetAfterParts.length > 1) {
+      snippetAfter = snippetAfterParts.join('');
+      if (!snippetBefore && !item.text) {
+        [snippetBefore, snippetAfter] = snippetAfterParts;
+      }
+    }
+    if (textBefore.endsWith(snippetBefore)) {
+      snippetBefore = '';
+    }
+    if (textAfter.startsWith(snippetAfter)) {
+      snippetAfter = '';
+    }
+    const textToPaste = snippetBefore + item.text + snippetAfter;
+    if (textAfter && !/^[),]/.test(textAfter) && !/\s$/.test(textToPaste)) {
+      // Keep the rest of the query separated from the suggestion
+      textAfter = ` ${textAfter}`;
+    }
+    let cursorPosAfter = textBefore.length + textToPaste.length;
+    if (snippetAfterParts.length > 1) {
+      cursorPosAfter -= snippetAfterParts[1].length;
+    }
+
+    return {
+      text: textBefore + textToPaste + textAfter,
+      cursorPos: cursorPosAfter,
+    };
+  },
+};
+
+export function createEngine(introspections, options) {
+  return new Engine(introspections, options);
+}
+
+export default Engine;
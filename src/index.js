@@ -1,122 +1,77 @@
-import Lexer from 'lex';
 import debounce from 'lodash/debounce';
 import isObject from 'lodash/isObject';
 import throttle from 'lodash/throttle';
 
-import LRUCache from './lru-cache';
-import { DOMReady, escapeRegExp, setUrlParams } from './utils';
-
-const reIntValue = '(-?0|-?[1-9][0-9]*)';
-const reFractionPart = '\\.[0-9]+';
-const reExponentPart = '[eE][+-]?[0-9]+';
-const intRegex = new RegExp(reIntValue);
-const floatRegex = new RegExp(
-  `${reIntValue}${reFractionPart}${reExponentPart}`
-  + `|${reIntValue}${reFractionPart}|${reIntValue}${reExponentPart}`,
-);
-const reLineTerminators = '\\n\\r\\u2028\\u2029';
-const reEscapedChar = '\\\\[\\\\"/bfnrt]';
-const reEscapedUnicode = '\\\\u[0-9A-Fa-f]{4}';
-const reStringChar = `[^\\\\"\\\\\\\\${reLineTerminators}]`;
-const stringRegex = new RegExp(
-  '\\"('
-  + `${reEscapedChar}|${reEscapedUnicode}|${reStringChar}`
-  + ')*\\"',
-);
-const nameRegex = /[_A-Za-z][_0-9A-Za-z]*(\.[_A-Za-z][_0-9A-Za-z]*)*/;
-const reNotFollowedByName = '(?![_0-9A-Za-z])';
-const whitespaceRegex = /[ \t\v\f\u00A0]+/;
-
-const lexer = new Lexer(() => {
-  // Silently swallow any lexer errors
-});
-
-function token(name, value) {
-  return { name, value };
-}
-
-lexer.addRule(whitespaceRegex, () => { /* ignore whitespace */ });
-lexer.addRule(/\./, (l) => token('DOT', l));
-lexer.addRule(/,/, (l) => token('COMMA', l));
-lexer.addRule(new RegExp(`or${reNotFollowedByName}`), (l) => token('OR', l));
-lexer.addRule(new RegExp(`and${reNotFollowedByName}`), (l) => token('AND', l));
-lexer.addRule(new RegExp(`not${reNotFollowedByName}`), (l) => token('NOT', l));
-lexer.addRule(new RegExp(`in${reNotFollowedByName}`), (l) => token('IN', l));
-lexer.addRule(
-  new RegExp(`startswith${reNotFollowedByName}`),
-  (l) => token('STARTSWITH', l),
-);
-lexer.addRule(
-  new RegExp(`endswith${reNotFollowedByName}`),
-  (l) => token('ENDSWITH', l),
-);
-lexer.addRule(
-  new RegExp(`True${reNotFollowedByName}`),
-  (l) => token('TRUE', l),
-);
-lexer.addRule(
-  new RegExp(`False${reNotFollowedByName}`),
-  (l) => token('FALSE', l),
-);
-lexer.addRule(
-  new RegExp(`None${reNotFollowedByName}`),
-  (l) => token('NONE', l),
-);
-lexer.addRule(nameRegex, (l) => token('NAME', l));
-lexer.addRule(
-  stringRegex,
-  // Trim leading and trailing quotes:
-  (l) => token('STRING_VALUE', l.slice(1, l.length - 1)),
-);
-lexer.addRule(intRegex, (l) => token('INT_VALUE', l));
-lexer.addRule(floatRegex, (l) => token('FLOAT_VALUE', l));
-lexer.addRule(/\(/, (l) => token('PAREN_L', l));
-lexer.addRule(/\)/, (l) => token('PAREN_R', l));
-lexer.addRule(/=/, (l) => token('EQUALS', l));
-lexer.addRule(/!=/, (l) => token('NOT_EQUALS', l));
-lexer.addRule(/>/, (l) => token('GREATER', l));
-lexer.addRule(/>=/, (l) => token('GREATER_EQUAL', l));
-lexer.addRule(/</, (l) => token('LESS', l));
-lexer.addRule(/<=/, (l) => token('LESS_EQUAL', l));
-lexer.addRule(/~/, (l) => token('CONTAINS', l));
-lexer.addRule(/!~/, (l) => token('NOT_CONTAINS', l));
-lexer.lexAll = function () {
-  let match;
-  const result = [];
-  while (match = this.lex()) { // eslint-disable-line no-cond-assign
-    match.start = this.index - match.value.length;
-    match.end = this.index;
-    result.push(match);
-  }
-  return result;
+import { createEngine } from './engine';
+import lexer, { token } from './lexer';
+import RequestManager, { abortError } from './request-manager';
+import {
+  DOMReady,
+  escapeHtml,
+  escapeRegExp,
+  getCaretCoordinates,
+  logError,
+  textLayoutStyles,
+} from './utils';
+
+// CSS classes of tokens in the syntax highlighting backdrop. All other tokens
+// are comparison operators.
+const highlightClasses = {
+  AND: 'keyword',
+  OR: 'keyword',
+  NOT: 'keyword',
+  IN: 'keyword',
+  STARTSWITH: 'keyword',
+  ENDSWITH: 'keyword',
+  TRUE: 'constant',
+  FALSE: 'constant',
+  NONE: 'constant',
+  NAME: 'name',
+  STRING_VALUE: 'string',
+  INT_VALUE: 'number',
+  FLOAT_VALUE: 'number',
+  PAREN_L: 'paren',
+  PAREN_R: 'paren',
+  DOT: 'punctuation',
+  COMMA: 'punctuation',
 };
 
-function suggestion(text, snippetBefore, snippetAfter, explanation) {
-  // text is being displayed in completion box and pasted when you hit Enter.
-  // snippetBefore is an optional extra text to be pasted before main text.
-  // snippetAfter is an optional text to be pasted after. It may also include
-  // "|" symbol to designate desired cursor position after paste.
-  let suggestionText = text;
-  if (typeof explanation !== 'undefined') {
-    suggestionText += `<i>${explanation}</i>`;
-  }
-
-  return {
-    text,
-    snippetBefore: snippetBefore || '',
-    snippetAfter: snippetAfter || '',
-    suggestionText,
-  };
-}
+// Textarea attributes which are modified by the widget
+const managedAttributes = [
+  'autocomplete',
+  'role',
+  'aria-autocomplete',
+  'aria-expanded',
+  'aria-controls',
+  'aria-activedescendant',
+  'aria-invalid',
+  'title',
+  'class',
+  'style',
+];
+
+// Used to generate unique element ids for ARIA attributes
+let instanceCount = 0;
 
 // Main DjangoQL object
 const DjangoQL = function (options) {
-  let cacheSize = 100;
+  let engineOptions = isObject(options) ? options : {};
 
+  instanceCount += 1;
+  this.id = `djangoql-${instanceCount}`;
   this.options = options;
-  this.currentModel = null;
-  this.models = {};
-  this.suggestionsAPIUrl = null;
+  if (engineOptions.cacheSize) {
+    if (parseInt(engineOptions.cacheSize, 10) !== engineOptions.cacheSize
+        || engineOptions.cacheSize < 1) {
+      this.logError('cacheSize must be a positive integer');
+      engineOptions = { ...engineOptions, cacheSize: null };
+    }
+  }
+  // Completion logic lives in the engine, this object is a DOM layer on top
+  this.engine = createEngine(null, engineOptions);
+  this.requests = new RequestManager(
+    (url, signal) => this.engine.fetchJson(url, signal),
+  );
 
   this.token = token;
   this.lexer = lexer;
@@ -124,13 +79,22 @@ const DjangoQL = function (options) {
   this.prefix = '';
   this.suggestions = [];
   this.selected = null;
-  this.valuesCaseSensitive = false;
   this.highlightCaseSensitive = true;
 
   this.textarea = null;
+  this.listeners = [];
+  this.popupTimeout = null;
   this.completion = null;
   this.completionUL = null;
+  this.completionStatus = null;
   this.completionEnabled = false;
+  this.highlightElement = null;
+  this.syntaxError = null;
+  this.diagnostics = [];
+  this.showValidationErrors = false;
+  this.introspectionsLoading = false;
+  this.retryTimeout = null;
+  this.rejectReady = null;
 
   // Initialization
   if (!isObject(options)) {
@@ -154,18 +118,23 @@ const DjangoQL = function (options) {
     );
     return;
   }
-  if (options.valuesCaseSensitive) {
-    this.valuesCaseSensitive = true;
-  }
-  if (options.cacheSize) {
-    if (parseInt(options.cacheSize, 10) !== options.cacheSize
-        || options.cacheSize < 1) {
-      this.logError('cacheSize must be a positive integer');
+  if (options.container) {
+    if (typeof options.container === 'string') {
+      this.container = document.querySelector(options.container);
     } else {
-      cacheSize = options.cacheSize;
+      this.container = options.container;
     }
+    if (!this.container) {
+      this.logError(`Element not found by selector: ${options.container}`);
+    }
+  }
+  if (!this.container) {
+    // Document of the textarea could be different, e.g. in iframes
+    this.container = this.textarea.ownerDocument.body;
+  }
+  if (options.valuesCaseSensitive) {
+    this.valuesCaseSensitive = true;
   }
-  this.suggestionsCache = new LRUCache(cacheSize);
   this.debouncedLoadFieldOptions = debounce(
     this.loadFieldOptions.bind(this),
     300,
@@ -180,40 +149,93 @@ const DjangoQL = function (options) {
   this.onCompletionMouseClick = this.onCompletionMouseClick.bind(this);
   this.onCompletionMouseDown = this.onCompletionMouseDown.bind(this);
   this.popupCompletion = this.popupCompletion.bind(this);
+  this.positionCompletion = this.positionCompletion.bind(this);
+  this.onScroll = this.onScroll.bind(this);
   this.debouncedRenderCompletion = debounce(
     this.renderCompletion.bind(this),
     50,
   );
 
+  // Attributes of the textarea modified by the widget, to be restored
+  // on .destroy()
+  this.textareaAttributes = {};
+  managedAttributes.forEach((name) => {
+    this.textareaAttributes[name] = this.textarea.getAttribute(name);
+  });
+
   // Bind event handlers and initialize completion & textSize containers
   this.textarea.setAttribute('autocomplete', 'off');
-  this.textarea.addEventListener('keydown', this.onKeydown.bind(this));
-  this.textarea.addEventListener('blur', this.hideCompletion.bind(this));
-  this.textarea.addEventListener('click', this.popupCompletion);
+  // WAI-ARIA 1.2 combobox pattern
+  this.textarea.setAttribute('role', 'combobox');
+  this.textarea.setAttribute('aria-autocomplete', 'list');
+  this.textarea.setAttribute('aria-expanded', 'false');
+  this.textarea.setAttribute('aria-controls', `${this.id}-listbox`);
+  this.listen(this.textarea, 'keydown', this.onKeydown.bind(this));
+  this.listen(this.textarea, 'blur', this.hideCompletion.bind(this));
+  this.listen(this.textarea, 'click', this.popupCompletion);
+  // Keep completion box next to the caret when the page or any of the
+  // textarea containers are scrolled or resized. Scroll events don't leave
+  // shadow trees, so they're also caught at the textarea shadow root.
+  this.textareaRoot = this.textarea.getRootNode();
+  this.textareaWindow = this.textarea.ownerDocument.defaultView;
+  this.listen(this.textareaWindow, 'scroll', this.onScroll, true);
+  this.listen(this.textareaWindow, 'resize', this.positionCompletion);
+  if (this.textareaRoot !== this.textarea.ownerDocument) {
+    this.listen(this.textareaRoot, 'scroll', this.onScroll, true);
+  }
+  // eslint-disable-next-line no-prototype-builtins
+  this.showSyntaxErrors = options.hasOwnProperty('showSyntaxErrors')
+    ? options.showSyntaxErrors
+    : true;
+  this.showValidationErrors = !!options.showValidationErrors;
+  if (this.showSyntaxErrors || this.showValidationErrors) {
+    this.textareaTitle = this.textarea.getAttribute('title');
+    this.checkQuery = this.checkQuery.bind(this);
+    this.debouncedCheckQuery = debounce(this.checkQuery, 300);
+    this.listen(this.textarea, 'input', this.debouncedCheckQuery);
+    this.listen(this.textarea, 'blur', this.checkQuery);
+    this.checkQuery();
+  }
   if (options.autoResize) {
     this.textareaResize = this.textareaResize.bind(this);
     this.textarea.style.resize = 'none';
     this.textarea.style.overflow = 'hidden';
-    this.textarea.addEventListener('input', this.textareaResize);
+    this.listen(this.textarea, 'input', this.textareaResize);
     this.textareaResize();
     // There could be a situation when fonts are not loaded yet at this
     // point. When fonts are finally loaded it could make textarea looking
     // weird - for example in Django 1.9+ last line won't fit. To fix this
     // we call .textareaResize() once again when window is fully loaded.
-    window.addEventListener('load', this.textareaResize);
+    this.listen(window, 'load', this.textareaResize);
   } else {
     this.textareaResize = null;
     // Catch resize events and re-position completion box.
     // See http://stackoverflow.com/a/7055239
-    this.textarea.addEventListener(
+    this.listen(
+      this.textarea,
       'mouseup',
       this.renderCompletion.bind(this, true),
     );
-    this.textarea.addEventListener(
+    this.listen(
+      this.textarea,
       'mouseout',
       this.renderCompletion.bind(this, true),
     );
   }
+  if (options.highlight) {
+    this.renderHighlight = this.renderHighlight.bind(this);
+    this.layoutHighlight = this.layoutHighlight.bind(this);
+    this.createHighlightElement();
+    this.listen(this.textarea, 'input', this.renderHighlight);
+    this.listen(this.textarea, 'scroll', this.layoutHighlight);
+    this.listen(window, 'resize', this.layoutHighlight);
+    if (window.ResizeObserver) {
+      // Catches both manual resizing and .textareaResize()
+      this.highlightResizeObserver = new ResizeObserver(this.layoutHighlight);
+      this.highlightResizeObserver.observe(this.textarea);
+    }
+    this.renderHighlight();
+  }
 
   this.createCompletionElement();
 };
@@ -226,6 +248,32 @@ DjangoQL.init = function (options) {
 DjangoQL.DOMReady = DOMReady;
 
 DjangoQL.prototype = {
+  // Introspection data and settings are stored in the engine
+  get currentModel() {
+    return this.engine.currentModel;
+  },
+  set currentModel(value) {
+    this.engine.currentModel = value;
+  },
+  get models() {
+    return this.engine.models;
+  },
+  set models(value) {
+    this.engine.models = value;
+  },
+  get suggestionsAPIUrl() {
+    return this.engine.suggestionsAPIUrl;
+  },
+  set suggestionsAPIUrl(value) {
+    this.engine.suggestionsAPIUrl = value;
+  },
+  get valuesCaseSensitive() {
+    return this.engine.valuesCaseSensitive;
+  },
+  set valuesCaseSensitive(value) {
+    this.engine.valuesCaseSensitive = value;
+  },
+
   createCompletionElement() {
     const { options } = this;
     let syntaxHelp;
@@ -233,13 +281,31 @@ DjangoQL.prototype = {
     if (!this.completion) {
       this.completion = document.createElement('div');
       this.completion.className = 'djangoql-completion';
-      document.querySelector('body').appendChild(this.completion);
+      this.container.appendChild(this.completion);
       this.completionUL = document.createElement('ul');
-      this.completionUL.onscroll = throttle(
+      this.completionUL.id = `${this.id}-listbox`;
+      this.completionUL.setAttribute('role', 'listbox');
+      this.completionUL.setAttribute('aria-label', 'Suggestions');
+      this.throttledCompletionScroll = throttle(
         this.onCompletionScroll.bind(this),
         50,
       );
+      this.completionUL.onscroll = this.throttledCompletionScroll;
       this.completion.appendChild(this.completionUL);
+      // Live region announcing the number of suggestions. It's kept out of
+      // the completion box, since hidden live regions aren't announced.
+      this.completionStatus = document.createElement('div');
+      this.completionStatus.setAttribute('role', 'status');
+      this.completionStatus.setAttribute('aria-live', 'polite');
+      Object.assign(this.completionStatus.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        whiteSpace: 'nowrap',
+      });
+      this.container.appendChild(this.completionStatus);
       if (typeof options.syntaxHelp === 'string') {
         syntaxHelp = document.createElement('p');
         syntaxHelp.className = 'syntax-help';
@@ -264,11 +330,59 @@ DjangoQL.prototype = {
   destroyCompletionElement() {
     if (this.completion) {
       this.completion.parentNode.removeChild(this.completion);
+      this.completionStatus.parentNode.removeChild(this.completionStatus);
       this.completion = null;
+      this.completionStatus = null;
       this.completionEnabled = false;
     }
   },
 
+  listen(target, type, listener, options) {
+    // Listeners added with this method are removed on .destroy()
+    target.addEventListener(type, listener, options);
+    this.listeners.push([target, type, listener, options]);
+  },
+
+  destroy() {
+    // Remove everything the widget has added and restore the textarea
+    if (!this.textarea) {
+      return;
+    }
+    const { textarea } = this;
+    this.listeners.forEach(([target, type, listener, options]) => {
+      target.removeEventListener(type, listener, options);
+    });
+    this.listeners = [];
+    window.clearTimeout(this.popupTimeout);
+    this.abortIntrospections();
+    [
+      this.debouncedLoadFieldOptions,
+      this.debouncedRenderCompletion,
+      this.debouncedCheckQuery,
+      this.throttledCompletionScroll,
+    ].forEach((fn) => fn && fn.cancel());
+    this.requests.abortAll();
+    this.loading = false;
+    if (this.highlightResizeObserver) {
+      this.highlightResizeObserver.disconnect();
+      this.highlightResizeObserver = null;
+    }
+    if (this.highlightElement) {
+      this.highlightElement.parentNode.removeChild(this.highlightElement);
+      this.highlightElement = null;
+    }
+    this.destroyCompletionElement();
+    Object.keys(this.textareaAttributes).forEach((name) => {
+      const value = this.textareaAttributes[name];
+      if (value === null) {
+        textarea.removeAttribute(name);
+      } else {
+        textarea.setAttribute(name, value);
+      }
+    });
+    this.textarea = null;
+  },
+
   enableCompletion() {
     this.completionEnabled = true;
   },
@@ -279,63 +393,255 @@ DjangoQL.prototype = {
   },
 
   getJson(url, settings) {
-    this.loading = true;
-
-    const onLoadError = function () {
-      this.loading = false;
-      this.request = null;
-      this.logError(`failed to fetch from ${url}`);
-    }.bind(this);
-
-    if (this.request) {
-      this.request.abort();
-    }
-    this.request = new XMLHttpRequest();
-
-    this.request.open('GET', url, true);
-    this.request.onload = function () {
-      this.loading = false;
-      if (this.request.status === 200) {
-        if (typeof settings.success === 'function') {
-          settings.success(JSON.parse(this.request.responseText));
-        }
-      } else {
-        onLoadError();
+    // Requests are tracked by key, so a new request aborts only a stale one
+    // with the same key, e.g. for the same field
+    const { key, load } = settings;
+    this.requests.request(key || url, url, load).then((data) => {
+      if (this.textarea && typeof settings.success === 'function') {
+        settings.success(data);
       }
-      this.request = null;
-    }.bind(this);
-    this.request.ontimeout = onLoadError;
-    this.request.onerror = onLoadError;
-    /* eslint-disable max-len */
-    // Workaround for IE9, see
-    // https://cypressnorth.com/programming/internet-explorer-aborting-ajax-requests-fixed/
-    /* eslint-enable max-len */
-    this.request.onprogress = function () {};
-    window.setTimeout(this.request.send.bind(this.request));
+    }, (e) => {
+      if (!this.textarea) {
+        // The widget is destroyed
+        return;
+      }
+      if (e.name !== 'AbortError') {
+        this.logError(e.message);
+      }
+      if (typeof settings.error === 'function') {
+        settings.error(e);
+      }
+    });
   },
 
   loadIntrospections(introspections) {
+    // this.ready is a Promise which is resolved with introspections data once
+    // they're loaded, or rejected if loading has failed after all retries.
+    // It's rejected with AbortError if loading is aborted by another call or
+    // by .destroy().
+    this.abortIntrospections();
+    let resolveReady;
+    let rejectReady;
+    this.ready = new Promise((resolve, reject) => {
+      resolveReady = resolve;
+      rejectReady = reject;
+    });
+    this.rejectReady = rejectReady;
+    // Don't report unhandled rejections if nobody waits for the Promise
+    this.ready.catch(() => {});
+
     const initIntrospections = function (data) {
-      this.currentModel = data.current_model;
-      this.models = data.models;
-      this.suggestionsAPIUrl = data.suggestions_api_url;
+      this.introspectionsLoading = false;
+      this.reportProblems(this.engine.setIntrospections(data));
+      if (this.showValidationErrors) {
+        this.checkQuery();
+      }
+      if (!this.currentModel) {
+        const message = 'introspections have no usable current model';
+        this.logError(message);
+        this.emit('introspectionserror', { error: message });
+        rejectReady(new Error(message));
+        return;
+      }
+      this.emit('introspectionsload', { introspections: data });
+      resolveReady(data);
+      // Completion could be requested while introspections were loading
+      this.updateCompletion();
     }.bind(this);
 
     if (typeof introspections === 'string') {
       // treat as URL
-      this.getJson(introspections, { success: initIntrospections });
+      const { retries = 3, retryDelay = 1000 } = this.options;
+      let attempt = 0;
+      const load = () => {
+        this.getJson(introspections, {
+          key: 'introspections',
+          success: initIntrospections,
+          error: (e) => {
+            if (e.name === 'AbortError') {
+              rejectReady(e);
+              return;
+            }
+            if (attempt < retries) {
+              // Retry with exponential backoff
+              this.retryTimeout = window.setTimeout(
+                load,
+                retryDelay * 2 ** attempt,
+              );
+              attempt += 1;
+              return;
+            }
+            this.introspectionsLoading = false;
+            this.emit('introspectionserror', {
+              url: introspections,
+              error: e.message,
+            });
+            rejectReady(e);
+            if (this.completion) {
+              // Remove the loading indicator
+              this.loading = false;
+              this.renderCompletion(true);
+            }
+          },
+        });
+      };
+      this.introspectionsLoading = true;
+      load();
     } else if (isObject(introspections)) {
       initIntrospections(introspections);
     } else {
-      this.logError(
-        'introspections parameter is expected to be either URL or '
-        + `object with definitions, but ${introspections} was found`,
+      const message = 'introspections parameter is expected to be either '
+        + 'URL or object with definitions, but '
+        + `${introspections} was found`;
+      this.logError(message);
+      rejectReady(new Error(message));
+    }
+  },
+
+  abortIntrospections() {
+    // Stop loading introspections, if they're still being loaded. Rejecting
+    // the settled .ready Promise has no effect.
+    window.clearTimeout(this.retryTimeout);
+    if (this.rejectReady) {
+      this.rejectReady(abortError());
+    }
+  },
+
+  reportProblems(problems) {
+    // Problems found in introspections, their unusable parts are skipped
+    if (!problems.length) {
+      return;
+    }
+    problems.forEach((problem) => {
+      this.logError(`invalid introspections: ${problem.message}`);
+    });
+    this.emit('introspectionsproblems', { problems });
+  },
+
+  setIntrospections(introspections) {
+    // Switch to another schema, either an object or an URL. Returns a Promise
+    // like .ready, the previous schema isn't used while the new one is loading
+    // and late responses for it are ignored
+    this.requests.abortAll();
+    this.currentModel = null;
+    this.loadIntrospections(introspections);
+    if (this.showValidationErrors) {
+      this.checkQuery();
+    }
+    this.updateCompletion();
+    return this.ready;
+  },
+
+  setCurrentModel(name) {
+    if (!this.models || !this.models[name]) {
+      this.logError(`Unknown model: ${name}`);
+      return;
+    }
+    this.currentModel = name;
+    if (this.showValidationErrors) {
+      this.checkQuery();
+    }
+    this.updateCompletion();
+  },
+
+  on(type, listener) {
+    this.listen(this.textarea, `djangoql:${type}`, listener);
+  },
+
+  off(type, listener) {
+    const eventType = `djangoql:${type}`;
+    this.textarea.removeEventListener(eventType, listener);
+    this.listeners = this.listeners.filter((l) => (
+      l[1] !== eventType || l[2] !== listener
+    ));
+  },
+
+  emit(type, detail, cancelable) {
+    // Events are dispatched on the textarea as "djangoql:<type>" DOM events.
+    // Returns false if a cancelable event was canceled by a listener.
+    const { textarea } = this;
+    if (!textarea) {
+      // Introspections passed as an object are loaded before the textarea
+      // lookup, there could be no listeners yet anyway
+      return true;
+    }
+    return textarea.dispatchEvent(new CustomEvent(`djangoql:${type}`, {
+      bubbles: true,
+      cancelable: !!cancelable,
+      detail: {
+        context: this.currentModel
+          ? this.getContext(textarea.value, textarea.selectionStart)
+          : null,
+        ...detail,
+      },
+    }));
+  },
+
+  parse(text) {
+    return this.engine.parse(
+      typeof text === 'string' ? text : this.textarea.value,
+    );
+  },
+
+  validate(text) {
+    return this.engine.validate(
+      typeof text === 'string' ? text : this.textarea.value,
+    );
+  },
+
+  checkQuery() {
+    const { textarea } = this;
+    const text = textarea.value;
+    let { error } = this.parse(text);
+    // Root node is either the document or a shadow root
+    if (error && error.start >= text.length
+        && textarea.getRootNode().activeElement === textarea) {
+      // The user is likely still typing the end of the query, so don't
+      // complain about it until the textarea loses focus
+      error = null;
+    }
+    this.syntaxError = this.showSyntaxErrors ? error : null;
+    this.diagnostics = [];
+    if (this.showValidationErrors && !error) {
+      this.diagnostics = this.validate(text);
+    }
+    this.renderErrors();
+  },
+
+  renderErrors() {
+    const { textarea, syntaxError, diagnostics } = this;
+    const problems = syntaxError ? [syntaxError] : diagnostics;
+    const hasErrors = !!syntaxError || diagnostics.some((d) => (
+      d.severity === 'error'
+    ));
+    textarea.classList.toggle('djangoql-syntax-error', !!syntaxError);
+    textarea.classList.toggle(
+      'djangoql-invalid',
+      !syntaxError && hasErrors,
+    );
+    textarea.classList.toggle(
+      'djangoql-warning',
+      !hasErrors && problems.length > 0,
+    );
+    if (hasErrors) {
+      textarea.setAttribute('aria-invalid', 'true');
+    } else {
+      textarea.removeAttribute('aria-invalid');
+    }
+    if (problems.length) {
+      textarea.setAttribute(
+        'title',
+        problems.map((p) => p.message).join('\n'),
       );
+    } else if (this.textareaTitle === null) {
+      textarea.removeAttribute('title');
+    } else {
+      textarea.setAttribute('title', this.textareaTitle);
     }
   },
 
   logError(message) {
-    console.error(`DjangoQL: ${message}`); // eslint-disable-line no-console
+    logError(message);
   },
 
   onCompletionMouseClick(e) {
@@ -393,10 +699,13 @@ DjangoQL.prototype = {
         // not to add a new line.
         if (this.selected !== null) {
           this.selectCompletion(this.selected);
-        } else if (typeof this.options.onSubmit === 'function') {
-          this.options.onSubmit(this.textarea.value);
-        } else {
-          e.currentTarget.form.submit();
+        } else if (this.emit('submit', { value: this.textarea.value }, true)) {
+          // Event listeners may cancel the submission
+          if (typeof this.options.onSubmit === 'function') {
+            this.options.onSubmit(this.textarea.value);
+          } else {
+            e.currentTarget.form.submit();
+          }
         }
         e.preventDefault();
         break;
@@ -416,7 +725,8 @@ DjangoQL.prototype = {
       default:
         // When keydown is fired input value has not been updated yet,
         // so we need to wait
-        window.setTimeout(this.popupCompletion, 10);
+        window.clearTimeout(this.popupTimeout);
+        this.popupTimeout = window.setTimeout(this.popupCompletion, 10);
         break;
     }
   },
@@ -431,6 +741,86 @@ DjangoQL.prototype = {
     // Ping me if you know how to get rid of "+1"
     const height = (this.textarea.scrollHeight - heightOffset) + 1;
     this.textarea.style.height = `${height}px`;
+    if (this.highlightElement) {
+      this.layoutHighlight();
+    }
+  },
+
+  createHighlightElement() {
+    // Syntax highlighting is rendered in a backdrop element behind the
+    // textarea, while the textarea itself keeps handling the input but
+    // renders its text transparent.
+    const { textarea } = this;
+    const style = window.getComputedStyle(textarea, null);
+    const backdrop = document.createElement('div');
+    backdrop.className = 'djangoql-highlight';
+    backdrop.setAttribute('aria-hidden', 'true');
+    textLayoutStyles.forEach((name) => {
+      backdrop.style[name] = style[name];
+    });
+    Object.assign(backdrop.style, {
+      position: 'absolute',
+      overflow: 'hidden',
+      whiteSpace: 'pre-wrap',
+      overflowWrap: 'break-word',
+      pointerEvents: 'none',
+      borderStyle: 'solid',
+      borderColor: 'transparent',
+      margin: '0',
+      color: style.color,
+      backgroundColor: style.backgroundColor,
+    });
+    this.highlightContent = document.createElement('div');
+    backdrop.appendChild(this.highlightContent);
+    textarea.parentNode.insertBefore(backdrop, textarea);
+    this.highlightElement = backdrop;
+
+    textarea.style.caretColor = style.color;
+    textarea.style.color = 'transparent';
+    textarea.style.backgroundColor = 'transparent';
+    if (style.position === 'static') {
+      // Positioned elements are painted on top of static ones, so make the
+      // textarea positioned too, to keep it on top of the backdrop
+      textarea.style.position = 'relative';
+    }
+  },
+
+  renderHighlight() {
+    const text = this.textarea.value;
+    const html = [];
+    let offset = 0;
+    this.lexer.setInput(text).lexAll().forEach((t) => {
+      if (t.start > offset) {
+        // whitespace or characters not recognized by the lexer
+        html.push(escapeHtml(text.slice(offset, t.start)));
+      }
+      html.push(
+        `<span class="djangoql-token-${highlightClasses[t.name] || 'operator'}"`
+        + `>${escapeHtml(text.slice(t.start, t.end))}</span>`,
+      );
+      offset = t.end;
+    });
+    // Trailing line break should be followed by something to be rendered
+    html.push(`${escapeHtml(text.slice(offset))} `);
+    this.highlightContent.innerHTML = html.join('');
+    this.layoutHighlight();
+  },
+
+  layoutHighlight() {
+    const { textarea } = this;
+    const backdrop = this.highlightElement;
+    const style = window.getComputedStyle(textarea, null);
+    // Vertical scrollbar makes the textarea content narrower
+    const scrollbarWidth = textarea.offsetWidth - textarea.clientWidth
+      - parseFloat(style.borderLeftWidth) - parseFloat(style.borderRightWidth);
+    backdrop.style.top = `${textarea.offsetTop}px`;
+    backdrop.style.left = `${textarea.offsetLeft}px`;
+    backdrop.style.width = `${textarea.offsetWidth}px`;
+    backdrop.style.height = `${textarea.offsetHeight}px`;
+    backdrop.style.paddingRight = `${
+      parseFloat(style.paddingRight) + Math.max(scrollbarWidth, 0)}px`;
+    backdrop.scrollTop = textarea.scrollTop;
+    backdrop.scrollLeft = textarea.scrollLeft;
   },
 
   popupCompletion() {
@@ -438,57 +828,41 @@ DjangoQL.prototype = {
     this.renderCompletion();
   },
 
+  updateCompletion() {
+    // Refresh suggestions if completion box is shown
+    if (this.completion && this.completion.style.display === 'block') {
+      this.popupCompletion();
+    }
+  },
+
   selectCompletion(index) {
+    const suggestion = this.suggestions[index];
     const context = this.getContext(
       this.textarea.value,
       this.textarea.selectionStart,
     );
-    const { currentFullToken } = context;
-    let textValue = this.textarea.value;
-    const startPos = this.textarea.selectionStart - context.prefix.length;
-    let tokenEndPos = null;
-
-    // cutting current token from the string
-    if (currentFullToken) {
-      tokenEndPos = currentFullToken.end;
-      textValue = (
-        textValue.slice(0, startPos) + textValue.slice(tokenEndPos)
-      );
-    }
-
-    const textBefore = textValue.slice(0, startPos);
-    let textAfter = textValue.slice(startPos);
-    // preventing double spaces after pasting the suggestion
-    textAfter = textAfter.trim();
-
-    const completion = this.suggestions[index];
-    let { snippetBefore, snippetAfter } = completion;
-    const snippetAfterParts = snippetAfter.split('|');
-    if (snippetAfterParts.length > 1) {
-      snippetAfter = snippetAfterParts.join('');
-      if (!snippetBefore && !completion.text) {
-        [snippetBefore, snippetAfter] = snippetAfterParts;
-      }
-    }
-    if (textBefore.endsWith(snippetBefore)) {
-      snippetBefore = '';
-    }
-    if (textAfter.startsWith(snippetAfter)) {
-      snippetAfter = '';
-    }
-    const textToPaste = snippetBefore + completion.text + snippetAfter;
-    let cursorPosAfter = textBefore.length + textToPaste.length;
-    if (snippetAfterParts.length > 1) {
-      cursorPosAfter -= snippetAfterParts[1].length;
-    }
+    const result = this.engine.applySuggestion(
+      this.textarea.value,
+      this.textarea.selectionStart,
+      suggestion,
+    );
 
-    this.textarea.value = textBefore + textToPaste + textAfter;
+    this.textarea.value = result.text;
     this.textarea.focus();
-    this.textarea.setSelectionRange(cursorPosAfter, cursorPosAfter);
+    this.textarea.setSelectionRange(result.cursorPos, result.cursorPos);
     this.selected = null;
     if (this.textareaResize) {
       this.textareaResize();
     }
+    if (this.highlightElement) {
+      this.renderHighlight();
+    }
+    if (this.debouncedCheckQuery) {
+      this.debouncedCheckQuery();
+    }
+    // Context of the selected suggestion, not the one after the selection
+    this.emit('select', { suggestion, context });
+    this.emit('change', { value: result.text });
     this.generateSuggestions(this.textarea);
     this.renderCompletion();
   },
@@ -496,7 +870,41 @@ DjangoQL.prototype = {
   hideCompletion() {
     this.selected = null;
     if (this.completion) {
+      const wasOpen = this.completion.style.display === 'block';
       this.completion.style.display = 'none';
+      this.updateAriaState();
+      if (wasOpen) {
+        this.emit('close');
+      }
+    }
+  },
+
+  updateAriaState() {
+    const { textarea } = this;
+    const expanded = this.completion.style.display !== 'none';
+    textarea.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    if (expanded && this.selected !== null) {
+      textarea.setAttribute(
+        'aria-activedescendant',
+        `${this.id}-option-${this.selected}`,
+      );
+    } else {
+      textarea.removeAttribute('aria-activedescendant');
+    }
+
+    let status = '';
+    if (expanded) {
+      const count = this.suggestions.length;
+      if (count) {
+        status = `${count} suggestion${count === 1 ? '' : 's'} available`;
+      }
+      if (this.loading) {
+        status = status ? `${status}, loading more` : 'Loading suggestions';
+      }
+    }
+    // Don't make screen readers repeat the same announcement
+    if (this.completionStatus.textContent !== status) {
+      this.completionStatus.textContent = status;
     }
   },
 
@@ -504,12 +912,14 @@ DjangoQL.prototype = {
     if (!highlight || !text) {
       return text;
     }
-    if (this.highlightCaseSensitive) {
-      return text.split(highlight).join(`<b>${highlight}</b>`);
-    }
+    // The text is HTML, so the escaped highlight is matched, while tags and
+    // entities, e.g. "&amp;" for "amp", are skipped
     return text.replace(
-      new RegExp(`(${escapeRegExp(highlight)})`, 'ig'),
-      '<b>$1</b>',
+      new RegExp(
+        `(${escapeRegExp(escapeHtml(highlight))})|<[^>]*>|&[a-z]+;`,
+        this.highlightCaseSensitive ? 'g' : 'ig',
+      ),
+      (match, found) => (found ? `<b>${found}</b>` : match),
     );
   },
 
@@ -546,6 +956,8 @@ DjangoQL.prototype = {
         currentLi = li[i];
       } else {
         currentLi = document.createElement('li');
+        currentLi.id = `${this.id}-option-${i}`;
+        currentLi.setAttribute('role', 'option');
         currentLi.setAttribute('data-index', i);
         currentLi.addEventListener('click', this.onCompletionMouseClick);
         currentLi.addEventListener('mousedown', this.onCompletionMouseDown);
@@ -555,6 +967,10 @@ DjangoQL.prototype = {
         this.suggestions[i].suggestionText,
         this.prefix,
       );
+      currentLi.setAttribute(
+        'aria-selected',
+        i === this.selected ? 'true' : 'false',
+      );
       if (i === this.selected) {
         currentLi.className = 'active';
         currentLiRect = currentLi.getBoundingClientRect();
@@ -584,6 +1000,7 @@ DjangoQL.prototype = {
       if (!loadingElement) {
         loadingElement = document.createElement('li');
         loadingElement.className = 'djangoql-loading';
+        loadingElement.setAttribute('aria-hidden', 'true');
         loadingElement.innerHTML = '&nbsp;';
         this.completionUL.appendChild(loadingElement);
       }
@@ -591,185 +1008,90 @@ DjangoQL.prototype = {
       this.completionUL.removeChild(loadingElement);
     }
 
-    const inputRect = this.textarea.getBoundingClientRect();
-    const top = window.pageYOffset + inputRect.top + inputRect.height;
-    this.completion.style.top = `${top}px`;
-    this.completion.style.left = `${inputRect.left}px`;
+    const wasOpen = this.completion.style.display === 'block';
     this.completion.style.display = 'block';
+    this.updateAriaState();
+    this.positionCompletion();
+    if (!wasOpen) {
+      this.emit('open');
+    }
   },
 
-  resolveName(name) {
-    // Walk through introspection definitions and get target model and field
-    let f;
-    let i;
-    let l;
-    const nameParts = name.split('.');
-    let model = this.currentModel;
-    let field = null;
-
-    const modelStack = [];
-    if (model) {
-      modelStack.push(model);
-      for (i = 0, l = nameParts.length; i < l; i++) {
-        f = this.models[model][nameParts[i]];
-        if (!f) {
-          model = null;
-          field = null;
-          break;
-        } else if (f.type === 'relation') {
-          model = f.relation;
-          modelStack.push(model);
-          field = null;
-        } else {
-          field = nameParts[i];
-        }
-      }
+  onScroll(e) {
+    // Scrolling of suggestions doesn't move the completion box. The target
+    // could also be the window, which is not a node.
+    if (this.completion && e.target.nodeType
+        && this.completion.contains(e.target)) {
+      return;
     }
-    return { modelStack, model, field };
+    this.positionCompletion();
   },
 
-  getContext(text, cursorPos) {
-    // This function returns an object with the following 4 properties:
-    let prefix; // text already entered by user in the current scope
-    let scope = null; // 'field', 'comparison', 'value', 'logical' or null
-    let model = null; // model, set for 'field', 'comparison' and 'value'
-    let field = null; // field, set for 'comparison' and 'value'
-    // Stack of models that includes all entered models
-    let modelStack = [this.currentModel];
-
-    let nameParts;
-    let resolvedName;
-    let lastToken = null;
-    let nextToLastToken = null;
-    const tokens = this.lexer.setInput(text.slice(0, cursorPos)).lexAll();
-    const allTokens = this.lexer.setInput(text).lexAll();
-    let currentFullToken = null;
-    if (tokens.length && tokens[tokens.length - 1].end >= cursorPos) {
-      // if cursor is positioned on the last token then remove it.
-      // We are only interested in tokens preceding current.
-      currentFullToken = allTokens[tokens.length - 1];
-      tokens.pop();
-    }
-    if (tokens.length) {
-      lastToken = tokens[tokens.length - 1];
-      if (tokens.length > 1) {
-        nextToLastToken = tokens[tokens.length - 2];
-      }
+  positionCompletion() {
+    // Show completion box right below the beginning of the text being
+    // completed, or above it if there's not enough space in the viewport
+    if (!this.completion || this.completion.style.display === 'none') {
+      return;
     }
-
-    // Current token which is currently being typed may be not complete yet,
-    // so lexer may fail to recognize it correctly. So we define current token
-    // prefix as a string without whitespace positioned after previous token
-    // and until current cursor position.
-    prefix = text.slice(lastToken ? lastToken.end : 0, cursorPos);
-    const whitespace = prefix.match(whitespaceRegex);
-    if (whitespace) {
-      prefix = prefix.slice(whitespace[0].length);
+    const { textarea, completion } = this;
+    const inputRect = textarea.getBoundingClientRect();
+    const anchor = getCaretCoordinates(
+      textarea,
+      Math.max(textarea.selectionStart - this.prefix.length, 0),
+    );
+    const anchorTop = inputRect.top + anchor.top - textarea.scrollTop;
+    const anchorLeft = inputRect.left + anchor.left - textarea.scrollLeft;
+    const { offsetWidth, offsetHeight } = completion;
+    const { innerWidth, innerHeight } = this.textareaWindow;
+    let top = anchorTop + anchor.height;
+    let left = anchorLeft;
+    const flip = top + offsetHeight > innerHeight
+      && anchorTop - offsetHeight >= 0;
+    if (flip) {
+      top = anchorTop - offsetHeight;
     }
-    if (prefix === '(') {
-      // Paren should not be a part of suggestion
-      prefix = '';
+    if (left + offsetWidth > innerWidth) {
+      left = Math.max(innerWidth - offsetWidth, 0);
     }
+    // Coordinates above are relative to the viewport, while completion box
+    // is positioned relative to its offset parent
+    const origin = this.getCompletionOrigin();
+    completion.classList.toggle('djangoql-completion-above', flip);
+    completion.style.top = `${top - origin.top}px`;
+    completion.style.left = `${left - origin.left}px`;
+  },
 
-    const logicalTokens = ['AND', 'OR'];
-    if (prefix === ')' && !whitespace) {
-      // Nothing to suggest right after right paren
-    } else if (!lastToken
-      || (logicalTokens.indexOf(lastToken.name) >= 0 && whitespace)
-      || (prefix === '.' && lastToken && !whitespace)
-      || (lastToken.name === 'PAREN_L'
-        && (!nextToLastToken
-          || logicalTokens.indexOf(nextToLastToken.name) >= 0))) {
-      scope = 'field';
-      model = this.currentModel;
-      if (prefix === '.') {
-        prefix = text.slice(lastToken.start, cursorPos);
-      }
-      nameParts = prefix.split('.');
-      if (nameParts.length > 1) {
-        // use last part as a prefix, analyze preceding parts to get the model
-        prefix = nameParts.pop();
-        resolvedName = this.resolveName(nameParts.join('.'));
-        if (resolvedName.model && !resolvedName.field) {
-          model = resolvedName.model;
-          modelStack = resolvedName.modelStack;
-        } else {
-          // if resolvedName.model is null that means that model wasn't found.
-          // if resolvedName.field is NOT null that means that the name
-          // preceding current prefix is a concrete field and not a relation,
-          // and therefore it can't have any properties.
-          scope = null;
-          model = null;
-        }
-      }
-    } else if (lastToken
-      && whitespace
-      && nextToLastToken
-      && nextToLastToken.name === 'NAME'
-      && ['EQUALS', 'NOT_EQUALS', 'CONTAINS', 'NOT_CONTAINS', 'GREATER_EQUAL',
-        'GREATER', 'LESS_EQUAL', 'LESS'].indexOf(lastToken.name) >= 0) {
-      resolvedName = this.resolveName(nextToLastToken.value);
-      if (resolvedName.model) {
-        scope = 'value';
-        model = resolvedName.model;
-        field = resolvedName.field;
-        modelStack = resolvedName.modelStack;
-        if (prefix[0] === '"' && (this.models[model][field].type === 'str'
-            || this.models[model][field].options)) {
-          prefix = prefix.slice(1);
-        }
-      }
-    } else if (lastToken && whitespace && lastToken.name === 'NAME') {
-      resolvedName = this.resolveName(lastToken.value);
-      if (resolvedName.model) {
-        scope = 'comparison';
-        model = resolvedName.model;
-        field = resolvedName.field;
-        modelStack = resolvedName.modelStack;
-      }
-    } else if (lastToken
-      && whitespace
-      && ['PAREN_R', 'INT_VALUE', 'FLOAT_VALUE', 'STRING_VALUE']
-        .indexOf(lastToken.name) >= 0) {
-      scope = 'logical';
+  getCompletionOrigin() {
+    // Viewport coordinates of the box which completion element is positioned
+    // relative to. That's either the document or a positioned container,
+    // like a modal dialog, which could be scrolled itself.
+    const parent = this.completion.offsetParent;
+    const doc = this.completion.ownerDocument;
+    const view = doc.defaultView;
+    if (!parent || (parent === doc.body
+        && view.getComputedStyle(parent, null).position === 'static')) {
+      return { top: -view.pageYOffset, left: -view.pageXOffset };
     }
-
+    const rect = parent.getBoundingClientRect();
     return {
-      prefix,
-      scope,
-      model,
-      field,
-      currentFullToken,
-      modelStack,
+      top: rect.top + parent.clientTop - parent.scrollTop,
+      left: rect.left + parent.clientLeft - parent.scrollLeft,
     };
   },
 
+  resolveName(name) {
+    return this.engine.resolveName(name);
+  },
+
+  getContext(text, cursorPos) {
+    return this.engine.getContext(text, cursorPos);
+  },
+
   getCurrentFieldOptions() {
     const input = this.textarea;
-    const ctx = this.getContext(input.value, input.selectionStart);
-    const model = this.models[ctx.model];
-    const field = ctx.field && model[ctx.field];
-    const fieldOptions = {
-      cacheKey: null,
-      context: ctx,
-      field,
-      model,
-      options: null,
-    };
-
-    if (ctx.scope !== 'value' || !field || !field.options) {
-      return null;
-    }
-    if (Array.isArray(field.options)) {
-      fieldOptions.options = field.options;
-    } else if (field.options === true) {
-      // Means get via API
-      if (!this.suggestionsAPIUrl) {
-        return null;
-      }
-      fieldOptions.cacheKey = `${ctx.model}.${ctx.field}|${ctx.prefix}`;
-    }
-    return fieldOptions;
+    return this.engine.getFieldOptions(
+      this.getContext(input.value, input.selectionStart),
+    );
   },
 
   loadFieldOptions(loadMore) {
@@ -780,46 +1102,71 @@ DjangoQL.prototype = {
       // The context has likely changed, user's cursor is in another position
       return;
     }
-    const requestParams = {
-      field: `${context.model}.${context.field}`,
-      search: context.prefix,
-    };
-
-    const cached = this.suggestionsCache.get(fieldOptions.cacheKey) || {};
-    if (loadMore && cached.has_next) {
-      requestParams.page = cached.page ? cached.page + 1 : 1;
-    } else if (cached.page) {
-      // At least the first page is already loaded
+    const page = this.engine.nextOptionsPage(fieldOptions, loadMore);
+    if (!page) {
+      // Options are already loaded, or being loaded
       return;
     }
 
-    cached.loading = true;
-    this.suggestionsCache.set(fieldOptions.cacheKey, cached);
-
-    const requestUrl = setUrlParams(this.suggestionsAPIUrl, requestParams);
-    this.getJson(requestUrl, {
-      success: function (data) {
-        const cache = this.suggestionsCache.get(fieldOptions.cacheKey) || {};
-        if (data.page - 1 !== (cache.page || 0)) {
-          // either pages were loaded out of order,
-          // or cache is no longer exists
+    const requestParams = this.engine.fieldOptionsParams(fieldOptions, page);
+    const eventDetail = { ...requestParams, context };
+    this.emit('optionsloadstart', eventDetail);
+    this.getJson(this.engine.fieldOptionsUrl(fieldOptions, page), {
+      key: `options:${requestParams.field}`,
+      load: (signal) => this.engine.loadOptionsPage(
+        fieldOptions,
+        page,
+        signal,
+      ),
+      error: (e) => {
+        if (e.name === 'AbortError') {
+          // Stale request for the same field
           return;
         }
-        const cachedData = {
-          ...data,
-          items: (cache.items || []).concat(data.items),
-        };
-        this.suggestionsCache.set(fieldOptions.cacheKey, cachedData);
+        this.emit('optionsloaderror', { ...eventDetail, error: e.message });
         this.loading = false;
+        this.renderCompletion(true);
+      },
+      success: (data) => {
+        this.emit('optionsload', { ...eventDetail, data });
         this.populateFieldOptions();
         this.renderCompletion();
-      }.bind(this),
+      },
     });
     // Render 'loading' element
     this.populateFieldOptions();
     this.renderCompletion();
   },
 
+  loadModel(name) {
+    const key = `model:${name}`;
+    if (this.requests.isPending(key)) {
+      return;
+    }
+    this.getJson(this.engine.modelUrl(name), {
+      key,
+      success: (data) => {
+        this.reportProblems(this.engine.addModels(data.models));
+        if (!this.models[name]) {
+          this.logError(`model ${name} is not found`);
+          this.loading = false;
+          this.renderCompletion(true);
+          return;
+        }
+        if (this.showValidationErrors) {
+          this.checkQuery();
+        }
+        this.updateCompletion();
+      },
+      error: (e) => {
+        if (e.name !== 'AbortError') {
+          this.loading = false;
+          this.renderCompletion(true);
+        }
+      },
+    });
+  },
+
   populateFieldOptions(loadMore) {
     const fieldOptions = this.getCurrentFieldOptions();
     if (fieldOptions === null) {
@@ -833,26 +1180,24 @@ DjangoQL.prototype = {
 
     if (options) {
       // filter them locally
-      if (this.valuesCaseSensitive) {
-        options = options.filter((item) => (
-          // Case-sensitive
-          item.indexOf(prefix) >= 0
-        ));
-      } else {
-        options = options.filter((item) => (
-          // Case-insensitive
-          item.toLowerCase().indexOf(prefix.toLowerCase()) >= 0
-        ));
-      }
+      options = this.engine.filterOptions(
+        options,
+        prefix,
+        fieldOptions.context.searchMode,
+      );
     } else {
-      this.suggestions = [];
+      // Only None, if the field is nullable, until options are loaded
+      this.suggestions = this.engine.valueSuggestions(
+        [],
+        fieldOptions.context,
+      );
       if (!fieldOptions.cacheKey) {
         return;
       }
-      cached = this.suggestionsCache.get(fieldOptions.cacheKey) || {};
+      cached = this.engine.getCachedOptions(fieldOptions) || {};
       options = cached.items || [];
-      if (!cached.loading
-          && (!cached.page || (loadMore && cached.has_next))) {
+      this.loading = !!cached.loading;
+      if (this.engine.nextOptionsPage(fieldOptions, loadMore)) {
         this.debouncedLoadFieldOptions(loadMore);
       }
       if (!options.length) {
@@ -862,7 +1207,17 @@ DjangoQL.prototype = {
     }
 
     this.highlightCaseSensitive = this.valuesCaseSensitive;
-    this.suggestions = options.map((f) => suggestion(f, '"', '"'));
+    this.suggestions = this.engine.valueSuggestions(
+      options,
+      fieldOptions.context,
+    );
+    if (cached && !this.suggestions.length && cached.has_next
+        && !cached.loading) {
+      // All loaded options are already in the "in" list, so there's nothing
+      // to scroll to load more of them
+      this.loading = true;
+      this.debouncedLoadFieldOptions(true);
+    }
   },
 
   onCompletionScroll() {
@@ -877,9 +1232,7 @@ DjangoQL.prototype = {
 
   generateSuggestions() {
     const input = this.textarea;
-    let suggestions;
-    let snippetAfter;
-    let searchFilter;
+    this.loading = false;
 
     if (!this.completionEnabled) {
       this.prefix = '';
@@ -888,7 +1241,11 @@ DjangoQL.prototype = {
     }
 
     if (!this.currentModel) {
-      // Introspections are not loaded yet
+      // Introspections are not loaded yet. Show the loading indicator until
+      // they're loaded, then completion is shown again.
+      this.prefix = '';
+      this.suggestions = [];
+      this.loading = this.introspectionsLoading;
       return;
     }
     if (input.selectionStart !== input.selectionEnd) {
@@ -898,122 +1255,22 @@ DjangoQL.prototype = {
       return;
     }
 
-    // default search filter - find anywhere in the string, case-sensitive
-    searchFilter = function (item) {
-      return item.text.indexOf(this.prefix) >= 0;
-    }.bind(this);
-    // default highlight mode - case sensitive
-    this.highlightCaseSensitive = true;
-
-    const context = this.getContext(input.value, input.selectionStart);
-    const { modelStack } = context;
-    this.prefix = context.prefix;
-    const model = this.models[context.model];
-    const field = context.field && model[context.field];
-
-    switch (context.scope) {
-      case 'field':
-        this.suggestions = Object.keys(model).filter((f) => {
-          const { relation } = model[f];
-          if ((model[f].type === 'relation')
-            // Check that the model from a field relation wasn't in the stack
-            && modelStack.includes(relation)
-            // Last element in the stack could be equal to context model.
-            // E.g. an "author" can have the "authors_in_genre" relation
-            && (modelStack.slice(-1)[0] !== relation)
-          ) {
-            return false;
-          }
-          return true;
-        }).map((f) => (
-          suggestion(f, '', model[f].type === 'relation' ? '.' : ' ')
-        ));
-        break;
-
-      case 'comparison':
-        suggestions = ['=', ['!=', 'is not equal to']];
-        snippetAfter = ' ';
-        if (field && field.type !== 'bool') {
-          if (['date', 'datetime'].indexOf(field.type) >= 0) {
-            suggestions.push(
-              ['~', 'contains'],
-              ['!~', 'does not contain'],
-            );
-            snippetAfter = ' "|"';
-          } else if (field.type === 'str') {
-            suggestions.push(
-              ['~', 'contains'],
-              ['!~', 'does not contain'],
-              'startswith',
-              'not startswith',
-              'endswith',
-              'not endswith',
-            );
-            snippetAfter = ' "|"';
-          } else if (field.options) {
-            snippetAfter = ' "|"';
-          }
-          if (field.type !== 'str') {
-            suggestions.push('>', '>=', '<', '<=');
-          }
-        }
-        this.suggestions = suggestions.map((s) => {
-          if (typeof s === 'string') {
-            return suggestion(s, '', snippetAfter);
-          }
-          return suggestion(s[0], '', snippetAfter, s[1]);
-        });
-        if (field && field.type !== 'bool') {
-          if (['str', 'date', 'datetime'].indexOf(field.type) >= 0
-              || field.options) {
-            snippetAfter = ' ("|")';
-          } else {
-            snippetAfter = ' (|)';
-          }
-          this.suggestions.push(suggestion('in', '', snippetAfter));
-          this.suggestions.push(suggestion('not in', '', snippetAfter));
-        }
-        // use "starts with" search filter instead of default
-        searchFilter = function (item) {
-          // See http://stackoverflow.com/a/4579228
-          return item.text.lastIndexOf(this.prefix, 0) === 0;
-        }.bind(this);
-        break;
-
-      case 'value':
-        if (!field) {
-          // related field
-          this.suggestions = [suggestion('None', '', ' ')];
-        } else if (field.options) {
-          this.prefix = context.prefix;
-          this.populateFieldOptions();
-        } else if (field.type === 'bool') {
-          this.suggestions = [
-            suggestion('True', '', ' '),
-            suggestion('False', '', ' '),
-          ];
-          if (field.nullable) {
-            this.suggestions.push(suggestion('None', '', ' '));
-          }
-        } else if (field.type === 'unknown') {
-          // unknown field type, reset suggestions
-          this.prefix = '';
-          this.suggestions = [];
-        }
-        break;
-
-      case 'logical':
-        this.suggestions = [
-          suggestion('and', '', ' '),
-          suggestion('or', '', ' '),
-        ];
-        break;
-
-      default:
-        this.prefix = '';
-        this.suggestions = [];
+    const completion = this.engine.complete(
+      input.value,
+      input.selectionStart,
+    );
+    this.prefix = completion.prefix;
+    this.suggestions = completion.suggestions;
+    this.highlightCaseSensitive = completion.caseSensitive;
+    if (completion.fieldOptions && completion.fieldOptions.cacheKey) {
+      // Options should be loaded from the suggestions API
+      this.populateFieldOptions();
+    }
+    if (completion.missingModel) {
+      // Related model should be loaded from the models API first
+      this.loading = true;
+      this.loadModel(completion.missingModel);
     }
-    this.suggestions = this.suggestions.filter(searchFilter);
     if (this.suggestions.length === 1) {
       this.selected = 0; // auto-select the only suggested item
     } else {
@@ -1023,4 +1280,5 @@ DjangoQL.prototype = {
 
 };
 
+export { createEngine };
 export default DjangoQL;
@@ -0,0 +1,239 @@
+import isPlainObject from 'lodash/isPlainObject';
+
+/**
+ * Walk through introspection definitions and get target model and field.
+ *
+ * Returns an object with "model" and "field" properties, both null if the
+ * name can't be resolved, and "modelStack" with all models visited on the way.
+ * If the name points to a relation, "field" is null. If definition of a model
+ * on the way is not loaded yet, its name is returned as "missingModel".
+ */
+export function resolveName(models, currentModel, name) {
+  let f;
+  let i;
+  let l;
+  const nameParts = name.split('.');
+  let model = currentModel;
+  let field = null;
+  let missingModel = null;
+
+  const modelStack = [];
+  if (model) {
+    modelStack.push(model);
+    for (i = 0, l = nameParts.length; i < l; i++) {
+      if (!models[model]) {
+        missingModel = model;
+        model = null;
+        field = null;
+        break;
+      }
+      f = models[model][nameParts[i]];
+      if (!f) {
+        model = null;
+        field = null;
+        break;
+      } else if (f.type === 'relation') {
+        model = f.relation;
+        modelStack.push(model);
+        field = null;
+      } else {
+        field = nameParts[i];
+      }
+    }
+  }
+  const result = { modelStack, model, field };
+  if (missingModel) {
+    result.missingModel = missingModel;
+  }
+  return result;
+}
+
+/**
+ * Definition of the field which the name was resolved to (see resolveName()).
+ * For relations, it's the definition of the relation field in the model it
+ * belongs to. Returns null if it's unknown.
+ */
+export function fieldDefinition(models, resolved, name) {
+  if (!resolved.model) {
+    return null;
+  }
+  if (resolved.field) {
+    return models[resolved.model][resolved.field];
+  }
+  const { modelStack } = resolved;
+  const model = models[modelStack[modelStack.length - 2]];
+  return (model && model[name.split('.').pop()]) || null;
+}
+
+/**
+ * Comparison operators which make sense for the given field definition, in
+ * the order they should be suggested. Relations (field is null) can only be
+ * compared with None.
+ */
+export function comparisonOperators(field) {
+  const operators = ['=', '!='];
+  if (field && field.type !== 'bool') {
+    if (['date', 'datetime'].indexOf(field.type) >= 0) {
+      operators.push('~', '!~');
+    } else if (field.type === 'str') {
+      operators.push(
+        '~',
+        '!~',
+        'startswith',
+        'not startswith',
+        'endswith',
+        'not endswith',
+      );
+    }
+    if (field.type !== 'str') {
+      operators.push('>', '>=', '<', '<=');
+    }
+    operators.push('in', 'not in');
+  }
+  return operators;
+}
+
+// Field types known to DjangoQL
+const fieldTypes = [
+  'int',
+  'float',
+  'str',
+  'bool',
+  'date',
+  'datetime',
+  'relation',
+  'unknown',
+];
+
+/**
+ * Check model definitions for problems which would break completion.
+ * "modelNames" are all models available in the schema, relations to other
+ * models are reported unless they could be loaded on demand ("lazy").
+ *
+ * Returns an object with "models" without unusable models and fields, and
+ * "problems", each with "path" to the offending part and "message".
+ */
+export function checkModels(models, modelNames, lazy) {
+  const problems = [];
+  const result = {};
+  if (!isPlainObject(models)) {
+    problems.push({
+      path: ['models'],
+      message: '"models" should be an object with model definitions',
+    });
+    return { models: result, problems };
+  }
+  Object.keys(models).forEach((name) => {
+    const model = models[name];
+    if (!isPlainObject(model)) {
+      problems.push({
+        path: ['models', name],
+        message: `Model "${name}" should be an object with field definitions`,
+      });
+      return;
+    }
+    result[name] = {};
+    Object.keys(model).forEach((fieldName) => {
+      const field = model[fieldName];
+      const path = ['models', name, fieldName];
+      const where = `Field "${fieldName}" of model "${name}"`;
+      if (!isPlainObject(field)) {
+        problems.push({ path, message: `${where} should be an object` });
+        return;
+      }
+      if (fieldTypes.indexOf(field.type) < 0) {
+        // Such fields are still suggested, but not validated
+        problems.push({
+          path,
+          message: `${where} has unknown type "${field.type}"`,
+        });
+      }
+      if (field.type === 'relation') {
+        if (typeof field.relation !== 'string') {
+          problems.push({
+            path,
+            message: `${where} is a relation, but the related model is not `
+              + 'specified',
+          });
+          return;
+        }
+        if (!lazy && modelNames.indexOf(field.relation) < 0) {
+          problems.push({
+            path,
+            message: `${where} refers to unknown model "${field.relation}"`,
+          });
+          return;
+        }
+      }
+      if (field.options && field.options !== true
+          && !Array.isArray(field.options)) {
+        problems.push({
+          path,
+          message: `${where} options should be either a list or true`,
+        });
+        result[name][fieldName] = { ...field, options: null };
+        return;
+      }
+      if (Array.isArray(field.options)) {
+        // Options are either plain values or objects with a value
+        const options = field.options.filter((option) => (
+          !isPlainObject(option) || typeof option.value !== 'undefined'
+        ));
+        if (options.length < field.options.length) {
+          problems.push({
+            path,
+            message: `${where} has options without value`,
+          });
+          result[name][fieldName] = { ...field, options };
+          return;
+        }
+      }
+      result[name][fieldName] = field;
+    });
+  });
+  return { models: result, problems };
+}
+
+/**
+ * Check introspections for problems which would break completion, see
+ * checkModels(). Returns an object with "introspections" without unusable
+ * parts and a list of "problems". If there's no usable current model,
+ * "current_model" is null.
+ */
+export function checkIntrospections(data) {
+  if (!isPlainObject(data)) {
+    return {
+      introspections: { current_model: null, models: {} },
+      problems: [{ path: [], message: 'Introspections should be an object' }],
+    };
+  }
+  const problems = [];
+  const introspections = { ...data };
+  ['suggestions_api_url', 'models_api_url'].forEach((key) => {
+    if (data[key] && typeof data[key] !== 'string') {
+      problems.push({ path: [key], message: `"${key}" should be an URL` });
+      introspections[key] = null;
+    }
+  });
+  const lazy = !!introspections.models_api_url;
+  const modelNames = isPlainObject(data.models) ? Object.keys(data.models) : [];
+  const checked = checkModels(data.models, modelNames, lazy);
+  introspections.models = checked.models;
+  problems.push(...checked.problems);
+
+  const currentModel = data.current_model;
+  if (!currentModel) {
+    problems.push({
+      path: ['current_model'],
+      message: '"current_model" is not specified',
+    });
+    introspections.current_model = null;
+  } else if (!introspections.models[currentModel]) {
+    problems.push({
+      path: ['current_model'],
+      message: `Current model "${currentModel}" is not defined in "models"`,
+    });
+    introspections.current_model = null;
+  }
+  return { introspections, problems };
+}
@@ -0,0 +1,155 @@
+import Lexer from 'lex';
+
+const reIntValue = '(-?0|-?[1-9][0-9]*)';
+const reFractionPart = '\\.[0-9]+';
+const reExponentPart = '[eE][+-]?[0-9]+';
+export const intRegex = new RegExp(reIntValue);
+export const floatRegex = new RegExp(
+  `${reIntValue}${reFractionPart}${reExponentPart}`
+  + `|${reIntValue}${reFractionPart}|${reIntValue}${reExponentPart}`,
+);
+const reLineTerminators = '\\n\\r\\u2028\\u2029';
+const reEscapedChar = '\\\\[\\\\"/bfnrt]';
+const reEscapedUnicode = '\\\\u[0-9A-Fa-f]{4}';
+const reStringChar = `[^\\\\"\\\\\\\\${reLineTerminators}]`;
+export const stringRegex = new RegExp(
+  '\\"('
+  + `${reEscapedChar}|${reEscapedUnicode}|${reStringChar}`
+  + ')*\\"',
+);
+// String which is not terminated yet, possibly ending with an incomplete
+// escape sequence, e.g. while it's being typed
+const openStringRegex = new RegExp(
+  '^\\"('
+  + `${reEscapedChar}|${reEscapedUnicode}|${reStringChar}`
+  + ')*(\\\\(u[0-9A-Fa-f]{0,3})?)?$',
+);
+export const nameRegex = /[_A-Za-z][_0-9A-Za-z]*(\.[_A-Za-z][_0-9A-Za-z]*)*/;
+export const reNotFollowedByName = '(?![_0-9A-Za-z])';
+export const whitespaceRegex = /[ \t\v\f\u00A0]+/;
+
+const lexer = new Lexer(() => {
+  // Silently swallow any lexer errors
+});
+
+export function token(name, value) {
+  return { name, value };
+}
+
+lexer.addRule(whitespaceRegex, () => { /* ignore whitespace */ });
+lexer.addRule(/\./, (l) => token('DOT', l));
+lexer.addRule(/,/, (l) => token('COMMA', l));
+lexer.addRule(new RegExp(`or${reNotFollowedByName}`), (l) => token('OR', l));
+lexer.addRule(new RegExp(`and${reNotFollowedByName}`), (l) => token('AND', l));
+lexer.addRule(new RegExp(`not${reNotFollowedByName}`), (l) => token('NOT', l));
+lexer.addRule(new RegExp(`in${reNotFollowedByName}`), (l) => token('IN', l));
+lexer.addRule(
+  new RegExp(`startswith${reNotFollowedByName}`),
+  (l) => token('STARTSWITH', l),
+);
+lexer.addRule(
+  new RegExp(`endswith${reNotFollowedByName}`),
+  (l) => token('ENDSWITH', l),
+);
+lexer.addRule(
+  new RegExp(`True${reNotFollowedByName}`),
+  (l) => token('TRUE', l),
+);
+lexer.addRule(
+  new RegExp(`False${reNotFollowedByName}`),
+  (l) => token('FALSE', l),
+);
+lexer.addRule(
+  new RegExp(`None${reNotFollowedByName}`),
+  (l) => token('NONE', l),
+);
+lexer.addRule(nameRegex, (l) => token('NAME', l));
+lexer.addRule(
+  stringRegex,
+  // Trim leading and trailing quotes:
+  (l) => token('STRING_VALUE', l.slice(1, l.length - 1)),
+);
+lexer.addRule(intRegex, (l) => token('INT_VALUE', l));
+lexer.addRule(floatRegex, (l) => token('FLOAT_VALUE', l));
+lexer.addRule(/\(/, (l) => token('PAREN_L', l));
+lexer.addRule(/\)/, (l) => token('PAREN_R', l));
+lexer.addRule(/=/, (l) => token('EQUALS', l));
+lexer.addRule(/!=/, (l) => token('NOT_EQUALS', l));
+lexer.addRule(/>/, (l) => token('GREATER', l));
+lexer.addRule(/>=/, (l) => token('GREATER_EQUAL', l));
+lexer.addRule(/</, (l) => token('LESS', l));
+lexer.addRule(/<=/, (l) => token('LESS_EQUAL', l));
+lexer.addRule(/~/, (l) => token('CONTAINS', l));
+lexer.addRule(/!~/, (l) => token('NOT_CONTAINS', l));
+lexer.lexAll = function () {
+  let match;
+  const result = [];
+  while (match = this.lex()) { // eslint-disable-line no-cond-assign
+    // String values are stored without surrounding quotes, but the token
+    // position should still cover them
+    match.start = this.index - match.value.length
+      - (match.name === 'STRING_VALUE' ? 2 : 0);
+    match.end = this.index;
+    result.push(match);
+  }
+  return result;
+};
+
+lexer.openStringStart = function (text) {
+  // Returns the position of the opening quote if the text ends inside of
+  // a string which is not terminated yet, otherwise -1. The lexer skips such
+  // quote since it doesn't match any rule, so look for it in the gaps
+  // between tokens.
+  let offset = 0;
+  let start = -1;
+  this.setInput(text).lexAll().concat([{ start: text.length, end: null }])
+    .some((tok) => {
+      const quote = text.slice(offset, tok.start).indexOf('"');
+      if (quote >= 0) {
+        start = offset + quote;
+        return true;
+      }
+      offset = tok.end;
+      return false;
+    });
+  return start >= 0 && openStringRegex.test(text.slice(start)) ? start : -1;
+};
+
+const escapes = {
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+/**
+ * Escape a value to be pasted between quotes, so that the lexer reads it
+ * back as the same string.
+ */
+export function escapeString(value) {
+  return JSON.stringify(value).slice(1, -1)
+    .replace(/[\u2028\u2029]/g, (c) => `\\u${c.charCodeAt(0).toString(16)}`);
+}
+
+/**
+ * Unescape contents of a string. An incomplete escape sequence at the end,
+ * e.g. of a string which is still being typed, is skipped.
+ */
+export function unescapeString(value) {
+  return value.replace(
+    /\\(u[0-9A-Fa-f]{4}|u[0-9A-Fa-f]{0,3}$|[\s\S]?)/g,
+    (match, sequence) => {
+      if (sequence.length === 5) {
+        return String.fromCharCode(parseInt(sequence.slice(1), 16));
+      }
+      if (sequence.length !== 1 || sequence === 'u') {
+        // Incomplete or invalid escape sequence
+        return '';
+      }
+      return escapes[sequence] || sequence;
+    },
+  );
+}
+
+export default lexer;
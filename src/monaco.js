@@ -0,0 +1,256 @@
+import { createEngine } from './engine';
+import lexer, {
+  floatRegex,
+  intRegex,
+  nameRegex,
+  reNotFollowedByName,
+  stringRegex,
+  whitespaceRegex,
+} from './lexer';
+import { initIntrospections, textChange } from './utils';
+
+function word(w) {
+  return new RegExp(`${w}${reNotFollowedByName}`);
+}
+
+// Monarch equivalent of the lexer rules. Unlike the lexer, Monarch picks the
+// first matching rule instead of the longest one, so the order matters.
+export const monarchLanguage = {
+  tokenizer: {
+    root: [
+      [whitespaceRegex, 'white'],
+      [word('(and|or|not|in|startswith|endswith)'), 'keyword'],
+      [word('(True|False|None)'), 'keyword.constant'],
+      [nameRegex, 'identifier'],
+      [stringRegex, 'string'],
+      [/"[^"]*$/, 'string.invalid'],
+      [floatRegex, 'number.float'],
+      [intRegex, 'number'],
+      [/[()]/, '@brackets'],
+      [/[.,]/, 'delimiter'],
+      [/(!=|>=|<=|!~|=|>|<|~)/, 'operator'],
+    ],
+  },
+};
+
+export const languageConfiguration = {
+  brackets: [['(', ')']],
+  autoClosingPairs: [
+    { open: '(', close: ')' },
+    { open: '"', close: '"', notIn: ['string'] },
+  ],
+};
+
+function completionKind(monaco, scope) {
+  const kinds = monaco.languages.CompletionItemKind;
+  switch (scope) {
+    case 'field':
+      return kinds.Field;
+    case 'comparison':
+      return kinds.Operator;
+    case 'value':
+      return kinds.Value;
+    default:
+      return kinds.Keyword;
+  }
+}
+
+function escapeSnippet(text) {
+  return text.replace(/[$}\\]/g, '\\$&');
+}
+
+function completionItem(monaco, model, text, offset, item, scope, engine) {
+  // Monaco inserts text into a range which must contain the cursor, so turn
+  // the result of .applySuggestion() into such range and a snippet with
+  // the final cursor position marked with $0.
+  const result = engine.applySuggestion(text, offset, item);
+  const change = textChange(text, result.text);
+  const from = Math.min(change.from, offset);
+  const to = Math.max(change.to, offset);
+  const insert = result.text.slice(from, result.text.length - text.length + to);
+  const cursor = result.cursorPos - from;
+  const start = model.getPositionAt(from);
+  const end = model.getPositionAt(to);
+  return {
+    label: item.label || item.text,
+    kind: completionKind(monaco, scope),
+    detail: item.explanation,
+    insertText: `${escapeSnippet(insert.slice(0, cursor))}$0${
+      escapeSnippet(insert.slice(cursor))}`,
+    insertTextRules:
+      monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+    // Suggestions are already filtered by the engine, so make sure Monaco
+    // doesn't filter them out once again
+    filterText: text.slice(from, offset) + item.text,
+    range: {
+      startLineNumber: start.lineNumber,
+      startColumn: start.column,
+      endLineNumber: end.lineNumber,
+      endColumn: end.column,
+    },
+  };
+}
+
+function hoverContents(engine, name) {
+  const resolved = engine.resolveName(name);
+  if (!resolved.model) {
+    return null;
+  }
+  if (!resolved.field) {
+    return `relation to ${resolved.model}`;
+  }
+  const field = engine.models[resolved.model][resolved.field];
+  return `${field.type} field of ${resolved.model}`;
+}
+
+/**
+ * Register DjangoQL language in Monaco editor. Accepts the monaco namespace
+ * and the same "introspections" (either an object or an URL),
+ * "valuesCaseSensitive", "cacheSize" and request options ("fetch", "headers",
+ * "credentials", "timeout" and "transformResponse") as the completion widget,
+ * plus "languageId" ('djangoql' by default).
+ *
+ * Returns an object with the completion engine and dispose() method which
+ * unregisters all providers.
+ */
+export function registerDjangoQL(monaco, config) {
+  const languageId = config.languageId || 'djangoql';
+  const engine = createEngine(null, config);
+  const disposables = [];
+  const modelListeners = {};
+
+  const validateModel = (model) => {
+    const markers = engine.validate(model.getValue()).map((d) => {
+      // Make empty ranges (e.g. at the end of query) visible
+      const start = model.getPositionAt(
+        d.start === d.end ? Math.max(d.start - 1, 0) : d.start,
+      );
+      const end = model.getPositionAt(d.end);
+      return {
+        severity: d.severity === 'error'
+          ? monaco.MarkerSeverity.Error
+          : monaco.MarkerSeverity.Warning,
+        message: d.message,
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column,
+      };
+    });
+    monaco.editor.setModelMarkers(model, languageId, markers);
+  };
+
+  const watchModel = (model) => {
+    if (model.getLanguageId() !== languageId) {
+      return;
+    }
+    const key = model.uri.toString();
+    if (!modelListeners[key]) {
+      modelListeners[key] = [
+        model.onDidChangeContent(() => validateModel(model)),
+        model.onWillDispose(() => {
+          modelListeners[key].forEach((d) => d.dispose());
+          delete modelListeners[key];
+        }),
+      ];
+    }
+    validateModel(model);
+  };
+
+  const validateAll = () => monaco.editor.getModels().forEach(watchModel);
+
+  initIntrospections(engine, config.introspections).then((loaded) => {
+    if (loaded) {
+      validateAll();
+    }
+  });
+
+  monaco.languages.register({ id: languageId });
+  disposables.push(
+    monaco.languages.setMonarchTokensProvider(languageId, monarchLanguage),
+    monaco.languages.setLanguageConfiguration(
+      languageId,
+      languageConfiguration,
+    ),
+    monaco.languages.registerCompletionItemProvider(languageId, {
+      triggerCharacters: ['.', ' ', '"', '('],
+      provideCompletionItems(model, position) {
+        const text = model.getValue();
+        const offset = model.getOffsetAt(position);
+        const completion = engine.complete(text, offset);
+        const { fieldOptions } = completion;
+        if (completion.missingModel) {
+          // Complete once the related model is loaded from the models API
+          return engine.loadModel(completion.missingModel).then(
+            () => this.provideCompletionItems(model, position),
+            () => ({ suggestions: [] }),
+          );
+        }
+        const toResult = (suggestions) => ({
+          suggestions: suggestions.map((item) => completionItem(
+            monaco,
+            model,
+            text,
+            offset,
+            item,
+            completion.scope,
+            engine,
+          )),
+        });
+
+        if (fieldOptions && fieldOptions.cacheKey) {
+          return engine.loadFieldOptions(fieldOptions).then(
+            toResult,
+            () => ({ suggestions: [] }),
+          );
+        }
+        return toResult(completion.suggestions);
+      },
+    }),
+    monaco.languages.registerHoverProvider(languageId, {
+      provideHover(model, position) {
+        const offset = model.getOffsetAt(position);
+        const tok = lexer.setInput(model.getValue()).lexAll().find((t) => (
+          t.name === 'NAME' && t.start <= offset && t.end >= offset
+        ));
+        if (!tok) {
+          return null;
+        }
+        // Resolve the name up to the hovered part, e.g. "author" for
+        // "author.name" when hovering over "author"
+        const nextDot = tok.value.indexOf('.', offset - tok.start);
+        const end = nextDot < 0 ? tok.end : tok.start + nextDot;
+        const name = tok.value.slice(0, end - tok.start);
+        const contents = hoverContents(engine, name);
+        if (!contents) {
+          return null;
+        }
+        const start = model.getPositionAt(tok.start);
+        const endPosition = model.getPositionAt(end);
+        return {
+          range: {
+            startLineNumber: start.lineNumber,
+            startColumn: start.column,
+            endLineNumber: endPosition.lineNumber,
+            endColumn: endPosition.column,
+          },
+          contents: [{ value: `**${name}**` }, { value: contents }],
+        };
+      },
+    }),
+    monaco.editor.onDidCreateModel(watchModel),
+    monaco.editor.onDidChangeModelLanguage((e) => watchModel(e.model)),
+  );
+  validateAll();
+
+  return {
+    engine,
+    dispose() {
+      disposables.forEach((d) => d.dispose());
+      Object.keys(modelListeners).forEach((key) => {
+        modelListeners[key].forEach((d) => d.dispose());
+        delete modelListeners[key];
+      });
+    },
+  };
+}
@@ -0,0 +1,303 @@
+import lexer, { unescapeString } from './lexer';
+
+// Comparison operators and the kinds of values they can be followed by,
+// as defined by the DjangoQL grammar
+const anyConst = ['STRING_VALUE', 'INT_VALUE', 'FLOAT_VALUE'];
+const comparisonValues = {
+  EQUALS: anyConst.concat(['TRUE', 'FALSE', 'NONE']),
+  NOT_EQUALS: anyConst.concat(['TRUE', 'FALSE', 'NONE']),
+  GREATER: anyConst,
+  GREATER_EQUAL: anyConst,
+  LESS: anyConst,
+  LESS_EQUAL: anyConst,
+  CONTAINS: ['STRING_VALUE'],
+  NOT_CONTAINS: ['STRING_VALUE'],
+  STARTSWITH: ['STRING_VALUE'],
+  ENDSWITH: ['STRING_VALUE'],
+};
+// Operators which may follow "not"
+const negatableOperators = ['IN', 'STARTSWITH', 'ENDSWITH'];
+
+const tokenDescriptions = {
+  NAME: 'field name',
+  STRING_VALUE: 'string',
+  INT_VALUE: 'number',
+  FLOAT_VALUE: 'number',
+  TRUE: 'True',
+  FALSE: 'False',
+  NONE: 'None',
+  COMPARISON: 'comparison operator',
+  AND: '"and"',
+  OR: '"or"',
+  NOT: '"not"',
+  PAREN_L: '"("',
+  PAREN_R: '")"',
+  COMMA: '","',
+  EOF: 'end of query',
+};
+
+function describeExpected(expected) {
+  const descriptions = [];
+  expected.forEach((name) => {
+    const description = tokenDescriptions[name] || name;
+    if (descriptions.indexOf(description) < 0) {
+      descriptions.push(description);
+    }
+  });
+  if (descriptions.length < 2) {
+    return descriptions.join('');
+  }
+  return `${descriptions.slice(0, -1).join(', ')} or ${
+    descriptions[descriptions.length - 1]}`;
+}
+
+function describeToken(tok) {
+  if (!tok) {
+    return 'end of query';
+  }
+  if (tok.name === 'STRING_VALUE') {
+    return `string "${tok.value}"`;
+  }
+  return `"${tok.value}"`;
+}
+
+function ParseError(message, start, end, expected) {
+  this.message = message;
+  this.start = start;
+  this.end = end;
+  this.expected = expected || [];
+}
+
+function constValue(tok) {
+  switch (tok.name) {
+    case 'STRING_VALUE':
+      return { valueType: 'str', value: unescapeString(tok.value) };
+    case 'INT_VALUE':
+      return { valueType: 'int', value: parseInt(tok.value, 10) };
+    case 'FLOAT_VALUE':
+      return { valueType: 'float', value: parseFloat(tok.value) };
+    case 'TRUE':
+      return { valueType: 'bool', value: true };
+    case 'FALSE':
+      return { valueType: 'bool', value: false };
+    default:
+      return { valueType: 'none', value: null };
+  }
+}
+
+function Parser(text) {
+  this.text = text;
+  this.tokens = lexer.setInput(text).lexAll();
+  this.pos = 0;
+}
+
+Parser.prototype = {
+  peek() {
+    return this.tokens[this.pos] || null;
+  },
+
+  next() {
+    const tok = this.peek();
+    this.pos++;
+    return tok;
+  },
+
+  fail(expected) {
+    const tok = this.peek();
+    const start = tok ? tok.start : this.text.length;
+    const end = tok ? tok.end : this.text.length;
+    throw new ParseError(
+      `Unexpected ${describeToken(tok)}, expected ${
+        describeExpected(expected)}`,
+      start,
+      end,
+      expected,
+    );
+  },
+
+  expect(names, expected) {
+    const tok = this.peek();
+    if (!tok || names.indexOf(tok.name) < 0) {
+      this.fail(expected || names);
+    }
+    return this.next();
+  },
+
+  checkIllegalCharacters() {
+    // The lexer silently skips characters it doesn't recognize, so look for
+    // anything except whitespace in the gaps between tokens.
+    let offset = 0;
+    this.tokens.concat([{ start: this.text.length, end: null }])
+      .forEach((tok) => {
+        const gap = this.text.slice(offset, tok.start);
+        const match = gap.match(/\S/);
+        if (match) {
+          const start = offset + match.index;
+          let message = `Illegal character "${match[0]}"`;
+          if (match[0] === '"') {
+            message = 'Unterminated string';
+          }
+          throw new ParseError(message, start, start + 1);
+        }
+        offset = tok.end;
+      });
+  },
+
+  parseQuery() {
+    this.checkIllegalCharacters();
+    if (!this.tokens.length) {
+      return null;
+    }
+    const ast = this.parseOr();
+    if (this.peek()) {
+      this.fail(['AND', 'OR', 'EOF']);
+    }
+    return ast;
+  },
+
+  parseLogical(operatorToken, parseOperand) {
+    let left = parseOperand.call(this);
+    while (this.peek() && this.peek().name === operatorToken) {
+      const operator = this.next();
+      const right = parseOperand.call(this);
+      left = {
+        type: 'logical',
+        operator: operator.value,
+        left,
+        right,
+        start: left.start,
+        end: right.end,
+      };
+    }
+    return left;
+  },
+
+  parseOr() {
+    return this.parseLogical('OR', this.parseAnd);
+  },
+
+  parseAnd() {
+    return this.parseLogical('AND', this.parsePrimary);
+  },
+
+  parsePrimary() {
+    const tok = this.peek();
+    if (tok && tok.name === 'NOT') {
+      // Negated group, e.g. not (a = 1 or b = 2)
+      this.next();
+      this.expect(['PAREN_L']);
+      const expression = this.parseOr();
+      const parenToken = this.expect(['PAREN_R'], ['AND', 'OR', 'PAREN_R']);
+      return {
+        type: 'not',
+        expression,
+        start: tok.start,
+        end: parenToken.end,
+      };
+    }
+    if (tok && tok.name === 'PAREN_L') {
+      this.next();
+      const expression = this.parseOr();
+      this.expect(['PAREN_R'], ['AND', 'OR', 'PAREN_R']);
+      return expression;
+    }
+    return this.parseComparison();
+  },
+
+  parseComparison() {
+    const nameToken = this.expect(['NAME'], ['NAME', 'PAREN_L', 'NOT']);
+    const name = {
+      type: 'name',
+      value: nameToken.value,
+      start: nameToken.start,
+      end: nameToken.end,
+    };
+    let operatorToken = this.peek();
+    const operator = {};
+    if (operatorToken && operatorToken.name === 'NOT') {
+      this.next();
+      const negated = this.expect(negatableOperators);
+      operator.name = `NOT_${negated.name}`;
+      operator.value = `not ${negated.value}`;
+      operator.start = operatorToken.start;
+      operator.end = negated.end;
+      operatorToken = negated;
+    } else {
+      operatorToken = this.expect(
+        Object.keys(comparisonValues).concat(['IN']),
+        ['COMPARISON'],
+      );
+      operator.name = operatorToken.name;
+      operator.value = operatorToken.value;
+      operator.start = operatorToken.start;
+      operator.end = operatorToken.end;
+    }
+
+    let value;
+    if (operatorToken.name === 'IN') {
+      value = this.parseList();
+    } else {
+      const valueToken = this.expect(comparisonValues[operatorToken.name]);
+      value = {
+        type: 'const',
+        ...constValue(valueToken),
+        raw: valueToken.value,
+        start: valueToken.start,
+        end: valueToken.end,
+      };
+    }
+    return {
+      type: 'comparison',
+      name,
+      operator,
+      value,
+      start: name.start,
+      end: value.end,
+    };
+  },
+
+  parseList() {
+    const { start } = this.expect(['PAREN_L']);
+    const items = [];
+    let tok;
+    do {
+      tok = this.expect(anyConst);
+      items.push({
+        type: 'const',
+        ...constValue(tok),
+        raw: tok.value,
+        start: tok.start,
+        end: tok.end,
+      });
+      tok = this.expect(['COMMA', 'PAREN_R']);
+    } while (tok.name === 'COMMA');
+    return {
+      type: 'list',
+      items,
+      start,
+      end: tok.end,
+    };
+  },
+};
+
+/**
+ * Parse a DjangoQL query into an AST.
+ *
+ * Returns an object with two properties: "ast" and "error". Every AST node
+ * has "type", "start" and "end" properties, where start and end are offsets
+ * in the source text. If the query is empty, "ast" is null. If the query is
+ * not valid, "ast" is null and "error" is an object with "message", "start",
+ * "end" and "expected" (a list of token names which would be valid at the
+ * error position).
+ */
+export default function parse(text) {
+  const parser = new Parser(text);
+  try {
+    return { ast: parser.parseQuery(), error: null };
+  } catch (e) {
+    if (!(e instanceof ParseError)) {
+      throw e;
+    }
+    return { ast: null, error: { ...e } };
+  }
+}
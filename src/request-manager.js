@@ -0,0 +1,73 @@
+export function abortError() {
+  const error = new Error('request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Keeps track of in-flight requests by key, e.g. by purpose or by field.
+// Identical requests with the same key are shared, while a request with
+// another URL for the same key aborts the previous one as stale. Requests
+// with different keys don't affect each other.
+function RequestManager(fetchJson) {
+  // fetchJson(url, signal) should return a Promise of the response data
+  this.fetchJson = fetchJson;
+  this.requests = {};
+}
+
+RequestManager.prototype = {
+  request(key, url, load) {
+    // Returns a Promise of the response data, which is rejected with
+    // AbortError if the request is aborted. Optional load(signal) function
+    // could load the data instead of fetchJson(), then the url only
+    // identifies the request.
+    const current = this.requests[key];
+    if (current) {
+      if (current.url === url) {
+        return current.promise;
+      }
+      current.controller.abort();
+    }
+    const controller = new AbortController();
+    const entry = { url, controller };
+    const done = () => {
+      if (this.requests[key] === entry) {
+        delete this.requests[key];
+      }
+    };
+    // Loading starts right away, the same as with fetchJson()
+    const promise = load
+      ? new Promise((resolve) => resolve(load(controller.signal)))
+      : this.fetchJson(url, controller.signal);
+    entry.promise = promise.then((data) => {
+      done();
+      // Custom fetch() implementations could ignore the signal
+      if (controller.signal.aborted) {
+        throw abortError();
+      }
+      return data;
+    }, (e) => {
+      done();
+      throw controller.signal.aborted ? abortError() : e;
+    });
+    this.requests[key] = entry;
+    return entry.promise;
+  },
+
+  isPending(key) {
+    return !!this.requests[key];
+  },
+
+  abort(key) {
+    const entry = this.requests[key];
+    if (entry) {
+      delete this.requests[key];
+      entry.controller.abort();
+    }
+  },
+
+  abortAll() {
+    Object.keys(this.requests).forEach((key) => this.abort(key));
+  },
+};
+
+export default RequestManager;
@@ -1,3 +1,28 @@
+// Styles which affect text layout in a textarea
+export const textLayoutStyles = [
+  'boxSizing',
+  'fontFamily',
+  'fontSize',
+  'fontStyle',
+  'fontVariant',
+  'fontWeight',
+  'letterSpacing',
+  'lineHeight',
+  'tabSize',
+  'textAlign',
+  'textIndent',
+  'textTransform',
+  'wordSpacing',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+];
+
 export function DOMReady(callback) {
   if (document.readyState !== 'loading') {
     callback();
@@ -6,19 +31,59 @@ export function DOMReady(callback) {
   }
 }
 
+export function getCaretCoordinates(element, position) {
+  // Returns caret coordinates relative to the element border box. They are
+  // measured using a hidden mirror element with the same text layout.
+  const doc = element.ownerDocument;
+  const style = doc.defaultView.getComputedStyle(element, null);
+  const mirror = doc.createElement('div');
+  textLayoutStyles.forEach((name) => {
+    mirror.style[name] = style[name];
+  });
+  Object.assign(mirror.style, {
+    position: 'absolute',
+    visibility: 'hidden',
+    top: '0',
+    left: '-9999px',
+    width: style.width,
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+    borderStyle: 'solid',
+    // Scrollbar makes the content narrower
+    overflowY: element.scrollHeight > element.clientHeight
+      ? 'scroll'
+      : 'hidden',
+  });
+  mirror.textContent = element.value.slice(0, position);
+  const marker = doc.createElement('span');
+  marker.textContent = element.value.slice(position) || '.';
+  mirror.appendChild(marker);
+  doc.body.appendChild(mirror);
+  const coordinates = {
+    top: marker.offsetTop + (parseFloat(style.borderTopWidth) || 0),
+    left: marker.offsetLeft + (parseFloat(style.borderLeftWidth) || 0),
+    height: parseFloat(style.lineHeight)
+      || (parseFloat(style.fontSize) * 1.2)
+      || 0,
+  };
+  doc.body.removeChild(mirror);
+  return coordinates;
+}
+
 export function setUrlParams(url, params) {
   const parts = url.split('?');
   const path = parts[0];
   let queryString = parts.slice(1).join('?');
-  const pairs = queryString.split('&');
+  const pairs = queryString ? queryString.split('&') : [];
   let pair;
   let key;
   let value;
   let i;
 
   Object.keys(params).forEach((k) => {
-    key = encodeURI(k);
-    value = encodeURI(params[key]);
+    // Values, e.g. query conditions, could contain "&", "=", "+" or "#"
+    key = encodeURIComponent(k);
+    value = encodeURIComponent(params[k]);
     i = pairs.length;
     while (i--) {
       pair = pairs[i].split('=');
@@ -36,9 +101,60 @@ export function setUrlParams(url, params) {
   return queryString ? [path, queryString].join('?') : path;
 }
 
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 export function escapeRegExp(str) {
   // http://stackoverflow.com
   // /questions/3446170/escape-string-for-use-in-javascript-regex
   // eslint-disable-next-line no-useless-escape
   return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&');
 }
+
+export function textChange(oldText, newText) {
+  // Returns the minimal {from, to, insert} change which turns oldText into
+  // newText, handy for editors which work with incremental changes
+  let from = 0;
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (from < oldEnd && from < newEnd
+      && oldText[from] === newText[from]) {
+    from++;
+  }
+  while (oldEnd > from && newEnd > from
+      && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  return { from, to: oldEnd, insert: newText.slice(from, newEnd) };
+}
+
+export function logError(message) {
+  console.error(`DjangoQL: ${message}`); // eslint-disable-line no-console
+}
+
+export function initIntrospections(engine, introspections) {
+  // Set introspections of the engine used by an editor integration, either
+  // an object or an URL to load them from. Problems found in them and
+  // loading errors are logged. Returns a Promise which is resolved with true
+  // once introspections are set, or with false if they have failed to load.
+  const reportProblems = (problems) => problems.forEach((problem) => {
+    logError(`invalid introspections: ${problem.message}`);
+  });
+  if (typeof introspections !== 'string') {
+    reportProblems(engine.setIntrospections(introspections));
+    return Promise.resolve(true);
+  }
+  return engine.loadIntrospections(introspections).then((problems) => {
+    reportProblems(problems);
+    return true;
+  }, (e) => {
+    logError(e.message);
+    return false;
+  });
+}
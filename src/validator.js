@@ -0,0 +1,160 @@
+import {
+  comparisonOperators,
+  fieldDefinition,
+  resolveName,
+} from './introspection';
+
+// Kinds of constant values (see parser) accepted by each field type
+const acceptedValues = {
+  str: ['str'],
+  int: ['int'],
+  float: ['int', 'float'],
+  bool: ['bool'],
+  date: ['str'],
+  datetime: ['str'],
+};
+
+const expectedDescriptions = {
+  str: 'a string',
+  int: 'an integer',
+  float: 'a number',
+  bool: 'True or False',
+  date: 'a date string',
+  datetime: 'a datetime string',
+};
+
+const valueDescriptions = {
+  str: 'a string',
+  int: 'a number',
+  float: 'a number',
+  bool: 'a boolean',
+};
+
+const dateFormats = {
+  date: {
+    regex: /^\d{4}-\d{2}-\d{2}$/,
+    description: 'YYYY-MM-DD',
+  },
+  datetime: {
+    regex: /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/,
+    description: 'YYYY-MM-DD HH:MM[:SS]',
+  },
+};
+
+function diagnostic(node, severity, message) {
+  return {
+    severity,
+    message,
+    start: node.start,
+    end: node.end,
+  };
+}
+
+function validateComparison(node, models, currentModel, diagnostics) {
+  const name = node.name.value;
+  const operator = node.operator.value;
+  const resolved = resolveName(models, currentModel, name);
+  if (resolved.missingModel) {
+    // Related model definition is not loaded yet, nothing to check
+    return;
+  }
+  if (!resolved.model) {
+    diagnostics.push(
+      diagnostic(node.name, 'error', `Unknown field "${name}"`),
+    );
+    return;
+  }
+  const field = resolved.field && models[resolved.model][resolved.field];
+  if (field && !acceptedValues[field.type]) {
+    // Unknown field type, nothing to check
+    return;
+  }
+
+  if (comparisonOperators(field).indexOf(operator) < 0) {
+    diagnostics.push(diagnostic(
+      node.operator,
+      'error',
+      field
+        ? `Operator "${operator}" can't be used with ${field.type} field `
+          + `"${name}"`
+        : `"${name}" is a relation and can only be compared using = or !=`,
+    ));
+    return;
+  }
+  const definition = fieldDefinition(models, resolved, name);
+  const checkNone = (value) => {
+    if (definition && definition.nullable === false) {
+      diagnostics.push(diagnostic(
+        value,
+        'warning',
+        `Field "${name}" is not nullable and can't be None`,
+      ));
+    }
+  };
+  if (!field) {
+    if (node.value.valueType === 'none') {
+      checkNone(node.value);
+    } else {
+      diagnostics.push(diagnostic(
+        node.value,
+        'error',
+        `"${name}" is a relation and can only be compared with None`,
+      ));
+    }
+    return;
+  }
+
+  const values = node.value.type === 'list' ? node.value.items : [node.value];
+  values.forEach((value) => {
+    if (value.valueType === 'none') {
+      checkNone(value);
+      return;
+    }
+    const dateFormat = dateFormats[field.type];
+    if (field.options && value.valueType === 'str') {
+      // Options are always suggested as strings, regardless of field type
+      return;
+    }
+    if (acceptedValues[field.type].indexOf(value.valueType) < 0) {
+      diagnostics.push(diagnostic(
+        value,
+        'error',
+        `Field "${name}" expects ${expectedDescriptions[field.type]}, `
+          + `but ${valueDescriptions[value.valueType]} was given`,
+      ));
+    } else if (dateFormat && ['~', '!~'].indexOf(operator) < 0
+        && !dateFormat.regex.test(value.value)) {
+      diagnostics.push(diagnostic(
+        value,
+        'warning',
+        `Field "${name}" expects ${field.type} in `
+          + `${dateFormat.description} format`,
+      ));
+    }
+  });
+}
+
+function walk(node, models, currentModel, diagnostics) {
+  if (node.type === 'logical') {
+    walk(node.left, models, currentModel, diagnostics);
+    walk(node.right, models, currentModel, diagnostics);
+  } else if (node.type === 'not') {
+    walk(node.expression, models, currentModel, diagnostics);
+  } else {
+    validateComparison(node, models, currentModel, diagnostics);
+  }
+}
+
+/**
+ * Check a parsed query (see parser) against introspection definitions.
+ *
+ * Returns a list of diagnostics, each having "severity" ('error' or
+ * 'warning'), "message", and "start" and "end" positions in the query text.
+ */
+export default function validate(ast, models, currentModel) {
+  const diagnostics = [];
+  if (ast) {
+    walk(ast, models, currentModel, diagnostics);
+  }
+  return diagnostics;
+}
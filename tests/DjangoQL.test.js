@@ -1,8 +1,28 @@
 import DjangoQL from '@/index';
+import { escapeString, unescapeString } from '@/lexer';
 
 let djangoQL;
 let token;
 
+function response(data) {
+  return Promise.resolve({ ok: true, json: () => Promise.resolve(data) });
+}
+
+function tick(delay) {
+  // Let pending requests and timers run
+  return new Promise((resolve) => { setTimeout(resolve, delay); });
+}
+
+function optionsAPIWidget(data, options) {
+  // Widget with "name" options loaded from the suggestions API, which always
+  // responds with the data
+  const fetch = jest.fn(() => response(data));
+  const widget = new DjangoQL({ ...djangoQL.options, fetch, ...options });
+  widget.models['core.book'].name.options = true;
+  widget.suggestionsAPIUrl = 'suggestions/';
+  return { widget, fetch };
+}
+
 describe('test DjangoQL completion', () => {
   beforeEach(() => {
     document.body.innerHTML = '<textarea name="test"></textarea>';
@@ -187,6 +207,30 @@ describe('test DjangoQL completion', () => {
         expect(djangoQL.lexer.lex()).toStrictEqual(token('FLOAT_VALUE', num));
       });
     });
+
+    it('should find strings which are not terminated', () => {
+      const { lexer } = djangoQL;
+      expect(lexer.openStringStart('name ~ "war and pe')).toBe(7);
+      expect(lexer.openStringStart('a = "x" and b = "say \\"hi')).toBe(16);
+      expect(lexer.openStringStart('a = "\\u00')).toBe(4);
+      expect(lexer.openStringStart('a = "x" and b = "y"')).toBe(-1);
+      expect(lexer.openStringStart('a = "x\n')).toBe(-1);
+    });
+
+    it('should escape and unescape strings', () => {
+      const value = 'say "hi" to C:\\dir\n\u2028';
+      const escaped = escapeString(value);
+      expect(escaped).toBe('say \\"hi\\" to C:\\\\dir\\n\\u2028');
+      djangoQL.lexer.setInput(`"${escaped}"`);
+      expect(djangoQL.lexer.lex()).toStrictEqual(
+        token('STRING_VALUE', escaped),
+      );
+      expect(unescapeString(escaped)).toBe(value);
+      // Incomplete escape sequences at the end are skipped
+      expect(unescapeString('say \\')).toBe('say ');
+      expect(unescapeString('say \\u00')).toBe('say ');
+      expect(unescapeString('say \\u0042')).toBe('say B');
+    });
   });
 
   describe('.resolveName()', () => {
@@ -500,4 +544,1023 @@ describe('test DjangoQL completion', () => {
       );
     });
   });
+
+  describe('.parse()', () => {
+    it('should parse textarea value by default', () => {
+      djangoQL.textarea.value = 'name ~ "war"';
+      expect(djangoQL.parse().ast.name.value).toBe('name');
+      expect(djangoQL.parse('id = 1').ast.name.value).toBe('id');
+    });
+  });
+
+  describe('.checkQuery()', () => {
+    it('should mark textarea with syntax errors', () => {
+      const { textarea } = djangoQL;
+      textarea.value = 'id = 1 name';
+      djangoQL.checkQuery();
+      expect(djangoQL.syntaxError.start).toBe(7);
+      expect(textarea.classList.contains('djangoql-syntax-error')).toBe(true);
+      expect(textarea.getAttribute('aria-invalid')).toBe('true');
+      expect(textarea.getAttribute('title')).toBe(djangoQL.syntaxError.message);
+
+      textarea.value = 'id = 1';
+      djangoQL.checkQuery();
+      expect(djangoQL.syntaxError).toBeNull();
+      expect(textarea.classList.contains('djangoql-syntax-error')).toBe(false);
+      expect(textarea.hasAttribute('aria-invalid')).toBe(false);
+      expect(textarea.hasAttribute('title')).toBe(false);
+    });
+
+    it('should not complain about incomplete query while typing', () => {
+      const { textarea } = djangoQL;
+      textarea.value = 'id = ';
+      textarea.focus();
+      djangoQL.checkQuery();
+      expect(djangoQL.syntaxError).toBeNull();
+      textarea.blur();
+      expect(djangoQL.syntaxError.start).toBe(5);
+    });
+
+    it('should not complain while typing inside shadow DOM', () => {
+      document.body.innerHTML = '<div class="host"></div>';
+      const shadowRoot = document.querySelector('.host')
+        .attachShadow({ mode: 'open' });
+      shadowRoot.innerHTML = '<textarea></textarea>';
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        selector: shadowRoot.querySelector('textarea'),
+        container: shadowRoot,
+      });
+      const { textarea } = widget;
+      textarea.value = 'id = ';
+      textarea.focus();
+      widget.checkQuery();
+      expect(widget.syntaxError).toBeNull();
+      textarea.blur();
+      expect(widget.syntaxError.start).toBe(5);
+    });
+  });
+
+  describe('.validate()', () => {
+    it('should return syntax and schema errors', () => {
+      expect(djangoQL.validate('id = 1 and')).toStrictEqual([{
+        severity: 'error',
+        message: 'Unexpected end of query, expected field name, "(" or '
+          + '"not"',
+        start: 10,
+        end: 10,
+      }]);
+      expect(djangoQL.validate('author.gav = 1')).toStrictEqual([{
+        severity: 'error',
+        message: 'Unknown field "author.gav"',
+        start: 0,
+        end: 10,
+      }]);
+      djangoQL.textarea.value = 'id = 1';
+      expect(djangoQL.validate()).toStrictEqual([]);
+    });
+
+    it('should mark textarea with validation errors if enabled', () => {
+      const { textarea } = djangoQL;
+      textarea.value = 'is_published ~ "yes"';
+      djangoQL.checkQuery();
+      expect(textarea.classList.contains('djangoql-invalid')).toBe(false);
+
+      djangoQL.showValidationErrors = true;
+      djangoQL.checkQuery();
+      expect(djangoQL.diagnostics).toHaveLength(1);
+      expect(textarea.classList.contains('djangoql-invalid')).toBe(true);
+      expect(textarea.getAttribute('aria-invalid')).toBe('true');
+      expect(textarea.getAttribute('title'))
+        .toBe(djangoQL.diagnostics[0].message);
+
+      textarea.value = 'written > "yesterday"';
+      djangoQL.checkQuery();
+      expect(textarea.classList.contains('djangoql-invalid')).toBe(false);
+      expect(textarea.classList.contains('djangoql-warning')).toBe(true);
+      expect(textarea.hasAttribute('aria-invalid')).toBe(false);
+    });
+  });
+
+  describe('highlight option', () => {
+    it('should render highlighted tokens behind the textarea', () => {
+      document.body.innerHTML = '<textarea name="hl">name</textarea>';
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        selector: 'textarea[name=hl]',
+        highlight: true,
+      });
+      const { textarea, highlightElement } = widget;
+      expect(highlightElement.nextSibling).toBe(textarea);
+      expect(highlightElement.getAttribute('aria-hidden')).toBe('true');
+      expect(textarea.style.color).toBe('transparent');
+
+      textarea.value = 'name ~ "<b>" and id in (1, 2) @';
+      textarea.dispatchEvent(new Event('input'));
+      expect(widget.highlightContent.innerHTML).toBe(
+        '<span class="djangoql-token-name">name</span> '
+        + '<span class="djangoql-token-operator">~</span> '
+        + '<span class="djangoql-token-string">"&lt;b&gt;"</span> '
+        + '<span class="djangoql-token-keyword">and</span> '
+        + '<span class="djangoql-token-name">id</span> '
+        + '<span class="djangoql-token-keyword">in</span> '
+        + '<span class="djangoql-token-paren">(</span>'
+        + '<span class="djangoql-token-number">1</span>'
+        + '<span class="djangoql-token-punctuation">,</span> '
+        + '<span class="djangoql-token-number">2</span>'
+        + '<span class="djangoql-token-paren">)</span> @ ',
+      );
+    });
+
+    it('should not be rendered by default', () => {
+      expect(djangoQL.highlightElement).toBeNull();
+      expect(document.querySelector('.djangoql-highlight')).toBeNull();
+    });
+  });
+
+  describe('.positionCompletion()', () => {
+    function rect(top, left) {
+      return () => ({
+        top,
+        left,
+        bottom: top + 20,
+        right: left + 200,
+        width: 200,
+        height: 20,
+      });
+    }
+
+    function openCompletion(inputRect) {
+      const { textarea } = djangoQL;
+      textarea.getBoundingClientRect = inputRect;
+      textarea.style.border = '0';
+      textarea.style.lineHeight = '20px';
+      textarea.value = 'na';
+      textarea.focus();
+      textarea.setSelectionRange(2, 2);
+      djangoQL.popupCompletion();
+      const { completion } = djangoQL;
+      Object.defineProperty(completion, 'offsetWidth', { value: 300 });
+      Object.defineProperty(completion, 'offsetHeight', { value: 200 });
+      djangoQL.positionCompletion();
+      return completion;
+    }
+
+    it('should show completion below the text being completed', () => {
+      const completion = openCompletion(rect(100, 50));
+      expect(completion.style.display).toBe('block');
+      expect(completion.style.top).toBe('120px');
+      expect(completion.style.left).toBe('50px');
+      expect(completion.classList.contains('djangoql-completion-above'))
+        .toBe(false);
+    });
+
+    it('should fit completion into the viewport', () => {
+      const completion = openCompletion(
+        rect(window.innerHeight - 20, window.innerWidth - 100),
+      );
+      expect(completion.style.top)
+        .toBe(`${window.innerHeight - 220}px`);
+      expect(completion.style.left).toBe(`${window.innerWidth - 300}px`);
+      expect(completion.classList.contains('djangoql-completion-above'))
+        .toBe(true);
+    });
+
+    it('should follow the page when it is scrolled', () => {
+      const completion = openCompletion(rect(100, 50));
+      djangoQL.textarea.getBoundingClientRect = rect(40, 50);
+      window.dispatchEvent(new Event('scroll'));
+      expect(completion.style.top).toBe('60px');
+    });
+
+    it('should not move when suggestions are scrolled', () => {
+      openCompletion(rect(100, 50));
+      const positionCompletion = jest.spyOn(djangoQL, 'positionCompletion');
+      djangoQL.completionUL.dispatchEvent(new Event('scroll'));
+      expect(positionCompletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('container option', () => {
+    it('should append completion to the body by default', () => {
+      expect(djangoQL.completion.parentNode).toBe(document.body);
+    });
+
+    it('should position completion relative to the container', () => {
+      document.body.innerHTML = '<div class="modal"><textarea></textarea>'
+        + '</div>';
+      const modal = document.querySelector('.modal');
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        selector: 'textarea',
+        container: '.modal',
+      });
+      const { textarea, completion } = widget;
+      expect(completion.parentNode).toBe(modal);
+
+      textarea.getBoundingClientRect = () => ({ top: 300, left: 200 });
+      modal.getBoundingClientRect = () => ({ top: 100, left: 50 });
+      modal.scrollTop = 30;
+      Object.defineProperty(completion, 'offsetParent', { value: modal });
+      textarea.style.border = '0';
+      textarea.style.lineHeight = '20px';
+      textarea.focus();
+      widget.popupCompletion();
+      expect(completion.style.top).toBe('250px');
+      expect(completion.style.left).toBe('150px');
+    });
+
+    it('should work inside shadow DOM', () => {
+      document.body.innerHTML = '<div class="host"></div>';
+      const shadowRoot = document.querySelector('.host')
+        .attachShadow({ mode: 'open' });
+      shadowRoot.innerHTML = '<textarea></textarea>';
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        selector: shadowRoot.querySelector('textarea'),
+        container: shadowRoot,
+      });
+      expect(widget.completion.parentNode).toBe(shadowRoot);
+      widget.textarea.focus();
+      widget.popupCompletion();
+      expect(widget.completion.style.display).toBe('block');
+    });
+  });
+
+  describe('accessibility', () => {
+    it('should implement combobox pattern', () => {
+      const { textarea, completionUL } = djangoQL;
+      expect(textarea.getAttribute('role')).toBe('combobox');
+      expect(textarea.getAttribute('aria-expanded')).toBe('false');
+      expect(textarea.getAttribute('aria-controls')).toBe(completionUL.id);
+      expect(completionUL.getAttribute('role')).toBe('listbox');
+
+      textarea.value = 'author.';
+      textarea.focus();
+      djangoQL.popupCompletion();
+      expect(textarea.getAttribute('aria-expanded')).toBe('true');
+      expect(textarea.hasAttribute('aria-activedescendant')).toBe(false);
+      const options = completionUL.querySelectorAll('[role=option]');
+      expect(options).toHaveLength(djangoQL.suggestions.length);
+      expect(djangoQL.completionStatus.textContent)
+        .toBe(`${options.length} suggestions available`);
+
+      textarea.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 40 }));
+      textarea.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 40 }));
+      expect(textarea.getAttribute('aria-activedescendant'))
+        .toBe(options[1].id);
+      expect(options[1].getAttribute('aria-selected')).toBe('true');
+      expect(options[0].getAttribute('aria-selected')).toBe('false');
+
+      djangoQL.hideCompletion();
+      expect(textarea.getAttribute('aria-expanded')).toBe('false');
+      expect(textarea.hasAttribute('aria-activedescendant')).toBe(false);
+      expect(djangoQL.completionStatus.textContent).toBe('');
+    });
+
+    it('should announce loading state', () => {
+      djangoQL.loading = true;
+      djangoQL.textarea.focus();
+      djangoQL.renderCompletion();
+      expect(djangoQL.completionStatus.getAttribute('aria-live'))
+        .toBe('polite');
+      expect(djangoQL.completionStatus.textContent)
+        .toBe('Loading suggestions');
+    });
+
+    it('should use unique ids for every widget', () => {
+      const widget = new DjangoQL(djangoQL.options);
+      expect(widget.completionUL.id).not.toBe(djangoQL.completionUL.id);
+    });
+  });
+
+  describe('events', () => {
+    function listen(type) {
+      const listener = jest.fn();
+      djangoQL.on(type, listener);
+      return listener;
+    }
+
+    it('should notify about popup and accepted suggestions', () => {
+      const { textarea } = djangoQL;
+      const onOpen = listen('open');
+      const onClose = listen('close');
+      const onSelect = listen('select');
+      const onChange = listen('change');
+      textarea.value = 'is_pub';
+      textarea.focus();
+      djangoQL.popupCompletion();
+      djangoQL.popupCompletion();
+      expect(onOpen).toHaveBeenCalledTimes(1);
+
+      djangoQL.selectCompletion(0);
+      const { detail } = onSelect.mock.calls[0][0];
+      expect(detail.suggestion.text).toBe('is_published');
+      expect(detail.context.scope).toBe('field');
+      expect(detail.context.prefix).toBe('is_pub');
+      expect(onChange.mock.calls[0][0].detail.value).toBe('is_published ');
+
+      djangoQL.hideCompletion();
+      djangoQL.hideCompletion();
+      expect(onClose).toHaveBeenCalledTimes(1);
+
+      djangoQL.off('open', onOpen);
+      djangoQL.popupCompletion();
+      expect(onOpen).toHaveBeenCalledTimes(1);
+    });
+
+    it('should allow to cancel submit', () => {
+      const onSubmit = jest.fn();
+      djangoQL.options.onSubmit = onSubmit;
+      djangoQL.on('submit', (e) => e.preventDefault());
+      djangoQL.textarea.dispatchEvent(
+        new KeyboardEvent('keydown', { keyCode: 13 }),
+      );
+      expect(onSubmit).not.toHaveBeenCalled();
+    });
+
+    it('should notify about field options loading', () => {
+      const { textarea } = djangoQL;
+      djangoQL.models['core.book'].name.options = true;
+      djangoQL.suggestionsAPIUrl = 'suggestions/';
+      const onStart = listen('optionsloadstart');
+      const onError = listen('optionsloaderror');
+      jest.spyOn(djangoQL, 'getJson').mockImplementation((url, settings) => {
+        settings.error(new Error(`failed to fetch from ${url}`));
+      });
+      textarea.value = 'name = "war';
+      textarea.focus();
+      djangoQL.loadFieldOptions();
+      expect(onStart.mock.calls[0][0].detail).toMatchObject({
+        field: 'core.book.name',
+        search: 'war',
+        context: { scope: 'value', field: 'name' },
+      });
+      expect(onError.mock.calls[0][0].detail.error).toBe(
+        'failed to fetch from suggestions/?field=core.book.name&search=war',
+      );
+    });
+
+    it('should notify when introspections are loaded', () => {
+      const onLoad = listen('introspectionsload');
+      const introspections = {
+        current_model: 'auth.group',
+        models: { 'auth.group': {} },
+      };
+      jest.spyOn(djangoQL, 'getJson').mockImplementation((url, settings) => {
+        settings.success(introspections);
+      });
+      djangoQL.loadIntrospections('introspections/');
+      expect(onLoad.mock.calls[0][0].detail.introspections)
+        .toBe(introspections);
+      expect(djangoQL.currentModel).toBe('auth.group');
+    });
+  });
+
+  describe('.destroy()', () => {
+    it('should restore the textarea', () => {
+      document.body.innerHTML = '<textarea class="query" title="Query"'
+        + ' style="color: red;"></textarea>';
+      const textarea = document.querySelector('textarea');
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        selector: textarea,
+        autoResize: true,
+        highlight: true,
+      });
+      textarea.value = 'name ~';
+      widget.checkQuery();
+      expect(textarea.classList.contains('djangoql-syntax-error')).toBe(true);
+
+      widget.destroy();
+      expect(textarea.getAttribute('class')).toBe('query');
+      expect(textarea.getAttribute('title')).toBe('Query');
+      expect(textarea.getAttribute('style')).toBe('color: red;');
+      expect(textarea.hasAttribute('role')).toBe(false);
+      expect(textarea.hasAttribute('aria-invalid')).toBe(false);
+      expect(document.querySelector('.djangoql-highlight')).toBeNull();
+      expect(document.querySelector('.djangoql-completion')).toBeNull();
+      expect(document.querySelector('[role=status]')).toBeNull();
+      expect(widget.listeners).toStrictEqual([]);
+    });
+
+    it('should stop handling events', () => {
+      jest.useFakeTimers();
+      const { textarea } = djangoQL;
+      const onOpen = jest.fn();
+      djangoQL.on('open', onOpen);
+      const renderCompletion = jest.spyOn(djangoQL, 'renderCompletion');
+      textarea.value = 'name';
+      textarea.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 69 }));
+      djangoQL.destroy();
+      textarea.dispatchEvent(new KeyboardEvent('keydown', { keyCode: 69 }));
+      textarea.dispatchEvent(new Event('click'));
+      textarea.dispatchEvent(new Event('djangoql:open'));
+      jest.runAllTimers();
+      expect(renderCompletion).not.toHaveBeenCalled();
+      expect(onOpen).not.toHaveBeenCalled();
+      jest.useRealTimers();
+    });
+
+    it('should cancel pending scroll handling', () => {
+      jest.useFakeTimers();
+      const populateFieldOptions = jest.spyOn(djangoQL, 'populateFieldOptions');
+      const { completionUL } = djangoQL;
+      // Scrolled down to the bottom
+      Object.defineProperty(completionUL, 'scrollTop', { value: 100 });
+      completionUL.dispatchEvent(new Event('scroll'));
+      completionUL.dispatchEvent(new Event('scroll'));
+      populateFieldOptions.mockClear();
+      djangoQL.destroy();
+      jest.runAllTimers();
+      expect(populateFieldOptions).not.toHaveBeenCalled();
+      jest.useRealTimers();
+    });
+
+    it('should abort pending requests', () => {
+      const fetch = jest.fn(() => new Promise(() => {}));
+      const widget = new DjangoQL({ ...djangoQL.options, fetch });
+      widget.loadIntrospections('introspections/');
+      const { signal } = fetch.mock.calls[0][1];
+      expect(signal.aborted).toBe(false);
+      widget.destroy();
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
+  describe('fetch option', () => {
+    it('should be used for introspections and suggestions API', async () => {
+      expect.assertions(4);
+      const { widget, fetch } = optionsAPIWidget(
+        { items: ['War and Peace'], page: 1 },
+        { headers: { Authorization: 'Token secret' }, credentials: 'include' },
+      );
+      const onLoad = jest.fn();
+      widget.on('optionsload', onLoad);
+      widget.textarea.value = 'name = "war';
+      widget.textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('suggestions/?field=core.book.name&search=war');
+      expect(init.headers).toStrictEqual({ Authorization: 'Token secret' });
+      expect(init.credentials).toBe('include');
+      expect(onLoad).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('sendQueryContext option', () => {
+    it('should send other conditions to suggestions API', async () => {
+      expect.assertions(2);
+      const { widget, fetch } = optionsAPIWidget(
+        { items: ['War and Peace'], page: 1 },
+        { sendQueryContext: true },
+      );
+      widget.textarea.value = 'is_published = True and name = "war';
+      widget.textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+
+      expect(fetch.mock.calls[0][0]).toBe('suggestions/?field=core.book.name'
+        + '&search=war&query=is_published%20%3D%20True');
+      expect(widget.engine.optionsCache.get(
+        'suggestions/|core.book|core.book.name|war|is_published = True',
+      ).items).toStrictEqual(['War and Peace']);
+    });
+  });
+
+  describe('string values', () => {
+    it('should search options by multi-word prefixes', async () => {
+      expect.assertions(3);
+      const { widget, fetch } = optionsAPIWidget({
+        items: ['War and "Peace"'],
+        page: 1,
+      });
+      const { textarea } = widget;
+      textarea.value = 'name = "war and \\"pe';
+      textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      expect(fetch.mock.calls[0][0]).toBe('suggestions/?field=core.book.name'
+        + '&search=war%20and%20%22pe');
+
+      widget.popupCompletion();
+      widget.selectCompletion(0);
+      expect(textarea.value).toBe('name = "War and \\"Peace\\""');
+
+      // The value is complete, so options are not requested for it again
+      await tick(400);
+      expect(Array.from(fetch.mock.calls, ([url]) => url)).toStrictEqual([
+        'suggestions/?field=core.book.name&search=war%20and%20%22pe',
+      ]);
+    });
+  });
+
+  describe('startswith and endswith', () => {
+    it('should send search mode to suggestions API', async () => {
+      expect.assertions(1);
+      const { widget, fetch } = optionsAPIWidget({
+        items: ['War and Peace'],
+        page: 1,
+      });
+      widget.textarea.value = 'name not endswith "peace';
+      widget.textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      expect(fetch.mock.calls[0][0]).toBe('suggestions/?field=core.book.name'
+        + '&search=peace&search_mode=endswith');
+    });
+  });
+
+  describe('"in" lists', () => {
+    it('should skip options from API which are already listed', async () => {
+      expect.assertions(2);
+      const { widget } = optionsAPIWidget({
+        items: ['War and Peace', 'Anna Karenina'],
+        page: 1,
+        has_next: true,
+      });
+      const { textarea } = widget;
+      textarea.value = 'name in ("War and Peace",)';
+      textarea.focus();
+      textarea.setSelectionRange(25, 25);
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text))
+        .toStrictEqual(['Anna Karenina']);
+
+      widget.selectCompletion(0);
+      expect(textarea.value)
+        .toBe('name in ("War and Peace", "Anna Karenina")');
+    });
+
+    it('should load next page if all options are listed', async () => {
+      expect.assertions(2);
+      const { widget } = optionsAPIWidget({
+        items: ['War and Peace'],
+        page: 1,
+        has_next: true,
+      });
+      const { textarea } = widget;
+      textarea.value = 'name in ("War and Peace", "';
+      textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      jest.spyOn(widget, 'debouncedLoadFieldOptions')
+        .mockImplementation(() => {});
+      widget.popupCompletion();
+      expect(widget.suggestions).toStrictEqual([]);
+      expect(widget.debouncedLoadFieldOptions).toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('nullable fields', () => {
+    it('should suggest None along with options from API', async () => {
+      expect.assertions(2);
+      const { widget } = optionsAPIWidget({
+        items: ['War', 'Peace'],
+        page: 1,
+      });
+      widget.models['core.book'].name.nullable = true;
+      widget.textarea.value = 'name = ';
+      widget.textarea.focus();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text)).toStrictEqual(['None']);
+
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text))
+        .toStrictEqual(['War', 'Peace', 'None']);
+    });
+  });
+
+  describe('requests', () => {
+    it('should not abort requests for different purposes', () => {
+      const fetch = jest.fn(() => new Promise(() => {}));
+      const widget = new DjangoQL({ ...djangoQL.options, fetch });
+      widget.models['core.book'].name.options = true;
+      widget.models['auth.user'].username.options = true;
+      widget.suggestionsAPIUrl = 'suggestions/';
+      widget.loadIntrospections('introspections/');
+      const { textarea } = widget;
+      textarea.focus();
+      [
+        'name = "a',
+        'name = "ab',
+        'name = "ab',
+        'author.username = "a',
+      ].forEach((query) => {
+        textarea.value = query;
+        widget.engine.optionsCache.removeAll();
+        widget.loadFieldOptions();
+      });
+
+      const requests = Array.from(fetch.mock.calls, ([url, init]) => (
+        [url, init.signal.aborted]
+      ));
+      expect(requests).toStrictEqual([
+        ['introspections/', false],
+        ['suggestions/?field=core.book.name&search=a', true],
+        ['suggestions/?field=core.book.name&search=ab', false],
+        ['suggestions/?field=auth.user.username&search=a', false],
+      ]);
+    });
+  });
+
+  describe('.ready', () => {
+    it('should be resolved for introspections object', async () => {
+      expect.assertions(1);
+      await expect(djangoQL.ready).resolves.toStrictEqual(
+        djangoQL.options.introspections,
+      );
+    });
+
+    it('should reopen completion once introspections are loaded', async () => {
+      expect.assertions(4);
+      let loaded;
+      const fetch = jest.fn(() => new Promise((resolve) => {
+        loaded = () => resolve(response(djangoQL.options.introspections));
+      }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: 'introspections/',
+        fetch,
+      });
+      widget.textarea.focus();
+      widget.popupCompletion();
+      expect(widget.completion.style.display).toBe('block');
+      expect(widget.completionUL.querySelector('.djangoql-loading'))
+        .not.toBeNull();
+
+      loaded();
+      await widget.ready;
+      expect(widget.suggestions.length).toBeGreaterThan(0);
+      expect(widget.completionUL.querySelector('.djangoql-loading'))
+        .toBeNull();
+    });
+
+    it('should retry loading with backoff', async () => {
+      expect.assertions(4);
+      const setTimeout = jest.spyOn(window, 'setTimeout');
+      const fetch = jest.fn()
+        .mockReturnValueOnce(Promise.resolve({ ok: false }))
+        .mockReturnValueOnce(Promise.resolve({ ok: false }))
+        .mockReturnValueOnce(response(djangoQL.options.introspections));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: 'introspections/',
+        fetch,
+        retryDelay: 5,
+      });
+      await expect(widget.ready).resolves.toBeDefined();
+      expect(fetch).toHaveBeenCalledTimes(3);
+      const delays = setTimeout.mock.calls.map((call) => call[1]);
+      expect(delays).toContain(5);
+      expect(delays).toContain(10);
+      setTimeout.mockRestore();
+    });
+
+    it('should be rejected if the widget is destroyed', async () => {
+      expect.assertions(2);
+      const fetch = jest.fn(() => Promise.resolve({ ok: false }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: 'introspections/',
+        fetch,
+        retryDelay: 1000,
+      });
+      // The first attempt has failed, and the retry is pending
+      await tick();
+      widget.destroy();
+      await expect(widget.ready)
+        .rejects.toHaveProperty('name', 'AbortError');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should be rejected if another schema is set', async () => {
+      expect.assertions(2);
+      const fetch = jest.fn(() => new Promise(() => {}));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: 'introspections/',
+        fetch,
+      });
+      const { ready } = widget;
+      widget.setIntrospections(djangoQL.options.introspections);
+      await expect(ready).rejects.toHaveProperty('name', 'AbortError');
+      await expect(widget.ready).resolves.toBeDefined();
+    });
+
+    it('should be rejected once retries are exhausted', async () => {
+      expect.assertions(2);
+      const fetch = jest.fn(() => Promise.resolve({ ok: false }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: 'introspections/',
+        fetch,
+        retries: 0,
+      });
+      await expect(widget.ready)
+        .rejects.toThrow('failed to fetch from introspections/');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('.setCurrentModel()', () => {
+    it('should switch suggestions and re-validate the query', () => {
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        showValidationErrors: true,
+      });
+      const { textarea } = widget;
+      textarea.value = 'username = "tolstoy"';
+      widget.checkQuery();
+      expect(textarea.classList.contains('djangoql-invalid')).toBe(true);
+
+      widget.setCurrentModel('auth.user');
+      expect(widget.currentModel).toBe('auth.user');
+      expect(textarea.classList.contains('djangoql-invalid')).toBe(false);
+
+      widget.setCurrentModel('core.unknown');
+      expect(widget.currentModel).toBe('auth.user');
+    });
+  });
+
+  describe('.setIntrospections()', () => {
+    it('should scope field options cache per schema', async () => {
+      expect.assertions(4);
+      const { introspections } = djangoQL.options;
+      const schema = (url) => ({
+        ...introspections,
+        models: {
+          ...introspections.models,
+          'core.book': {
+            ...introspections.models['core.book'],
+            name: { type: 'str', relation: null, options: true },
+          },
+        },
+        suggestions_api_url: url,
+      });
+      const fetch = jest.fn((url) => response(url.startsWith('books/')
+        ? { items: ['War and Peace'], page: 1 }
+        : { items: ['Anna Karenina'], page: 1 }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: schema('books/'),
+        fetch,
+      });
+      const { textarea } = widget;
+      textarea.value = 'name = "';
+      textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text))
+        .toStrictEqual(['War and Peace']);
+
+      await expect(widget.setIntrospections(schema('archive/')))
+        .resolves.toBeDefined();
+      expect(widget.suggestions).toStrictEqual([]);
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text))
+        .toStrictEqual(['Anna Karenina']);
+    });
+
+    it('should ignore models loaded for the previous schema', async () => {
+      expect.assertions(2);
+      const { introspections } = djangoQL.options;
+      let loaded;
+      const fetch = jest.fn(() => new Promise((resolve) => {
+        loaded = () => resolve(response({
+          models: { 'auth.user': introspections.models['auth.user'] },
+        }));
+      }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: {
+          current_model: 'core.book',
+          models: { 'core.book': introspections.models['core.book'] },
+          models_api_url: 'models/',
+        },
+        fetch,
+      });
+      widget.loadModel('auth.user');
+      await expect(widget.setIntrospections({
+        current_model: 'core.book',
+        models: { 'core.book': introspections.models['core.book'] },
+        models_api_url: 'archive/models/',
+      })).resolves.toBeDefined();
+      loaded();
+      await tick();
+      expect(widget.models).not.toHaveProperty(['auth.user']);
+    });
+
+    it('should show loading indicator while schema is loading', () => {
+      const fetch = jest.fn(() => new Promise(() => {}));
+      const widget = new DjangoQL({ ...djangoQL.options, fetch });
+      widget.textarea.focus();
+      widget.popupCompletion();
+      expect(widget.suggestions.length).toBeGreaterThan(0);
+
+      widget.setIntrospections('introspections/');
+      expect(widget.currentModel).toBeNull();
+      expect(widget.suggestions).toStrictEqual([]);
+      expect(widget.completionUL.querySelector('.djangoql-loading'))
+        .not.toBeNull();
+    });
+  });
+
+  describe('.loadModel()', () => {
+    it('should show loading row until related model is loaded', async () => {
+      expect.assertions(4);
+      const { introspections } = djangoQL.options;
+      let loaded;
+      const fetch = jest.fn(() => new Promise((resolve) => {
+        loaded = () => resolve(response({
+          models: { 'auth.user': introspections.models['auth.user'] },
+        }));
+      }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: {
+          current_model: 'core.book',
+          models: { 'core.book': introspections.models['core.book'] },
+          models_api_url: 'models/',
+        },
+        fetch,
+      });
+      const { textarea } = widget;
+      textarea.value = 'author.';
+      textarea.focus();
+      widget.popupCompletion();
+      expect(widget.completionUL.querySelector('.djangoql-loading'))
+        .not.toBeNull();
+
+      widget.popupCompletion();
+      expect(fetch).toHaveBeenCalledTimes(1);
+      loaded();
+      await tick();
+      expect(widget.completionUL.querySelector('.djangoql-loading'))
+        .toBeNull();
+      expect(widget.suggestions.map((s) => s.text)).toContain('username');
+    });
+  });
+
+  describe('valueProviders option', () => {
+    it('should load options page by page', async () => {
+      expect.assertions(4);
+      const provider = jest.fn((prefix, page) => Promise.resolve({
+        items: [`${prefix} ${page}`],
+        has_next: page < 2,
+      }));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        valueProviders: { 'core.book.name': provider },
+      });
+      const { textarea } = widget;
+      textarea.value = 'name = "war';
+      textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text)).toStrictEqual(['war 1']);
+
+      widget.loadFieldOptions(true);
+      await tick();
+      widget.popupCompletion();
+      expect(widget.suggestions.map((s) => s.text))
+        .toStrictEqual(['war 1', 'war 2']);
+
+      // The last page is loaded
+      widget.loadFieldOptions(true);
+      await tick();
+      expect(provider).toHaveBeenCalledTimes(2);
+      expect(Array.from(provider.mock.calls, (call) => call[1]))
+        .toStrictEqual([1, 2]);
+    });
+
+    it('should abort stale provider requests', async () => {
+      expect.assertions(2);
+      const provider = jest.fn(() => new Promise(() => {}));
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        valueProviders: { 'core.book.name': provider },
+      });
+      const { textarea } = widget;
+      textarea.focus();
+      ['name = "w', 'name = "wa'].forEach((query) => {
+        textarea.value = query;
+        widget.loadFieldOptions();
+      });
+      await tick();
+      expect(Array.from(provider.mock.calls, (call) => call[0]))
+        .toStrictEqual(['w', 'wa']);
+      expect(Array.from(provider.mock.calls, (call) => call[3].aborted))
+        .toStrictEqual([true, false]);
+    });
+  });
+
+  describe('option labels', () => {
+    it('should be displayed, while values are pasted', async () => {
+      expect.assertions(2);
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        valueProviders: {
+          'core.book.name': () => ({
+            items: [{ value: 'war-and-peace', label: 'War and Peace' }],
+            has_next: false,
+          }),
+        },
+      });
+      const { textarea } = widget;
+      textarea.value = 'name = "war';
+      textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      expect(widget.completionUL.querySelector('li[data-index]').textContent)
+        .toBe('War and Peace');
+
+      widget.selectCompletion(0);
+      expect(textarea.value).toBe('name = "war-and-peace"');
+    });
+
+    it('should be escaped when rendered', async () => {
+      expect.assertions(3);
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        valueProviders: {
+          'core.book.name': () => ({
+            items: [{
+              value: 'a&b',
+              label: 'A & <b>B</b>',
+              description: 'R&D <x>',
+            }],
+            has_next: false,
+          }),
+        },
+      });
+      const { textarea } = widget;
+      textarea.value = 'name = "a';
+      textarea.focus();
+      widget.loadFieldOptions();
+      await tick();
+      widget.popupCompletion();
+      const li = widget.completionUL.querySelector('li[data-index]');
+      expect(li.textContent).toBe('A & <b>B</b>R&D <x>');
+      expect(li.querySelector('x')).toBeNull();
+      expect(li.innerHTML).toBe('<b>A</b> &amp; &lt;b&gt;B&lt;/b&gt;'
+        + '<i>R&amp;D &lt;x&gt;</i>');
+    });
+  });
+
+  describe('malformed introspections', () => {
+    it('should be reported and skipped', () => {
+      const logError = jest.spyOn(DjangoQL.prototype, 'logError')
+        .mockImplementation(() => {});
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: {
+          current_model: 'core.book',
+          models: {
+            'core.book': {
+              name: { type: 'str', relation: null },
+              author: { type: 'relation', relation: 'auth.user' },
+            },
+          },
+        },
+      });
+      expect(logError).toHaveBeenCalledWith(
+        'invalid introspections: Field "author" of model "core.book" refers '
+        + 'to unknown model "auth.user"',
+      );
+      const { textarea } = widget;
+      textarea.focus();
+      ['author.', 'author.name = "', 'author = "', 'name = "'].forEach((q) => {
+        textarea.value = q;
+        widget.popupCompletion();
+      });
+      expect(widget.suggestions).toStrictEqual([]);
+      logError.mockRestore();
+    });
+
+    it('should reject ready if there is no usable current model', async () => {
+      expect.assertions(1);
+      const logError = jest.spyOn(DjangoQL.prototype, 'logError')
+        .mockImplementation(() => {});
+      const widget = new DjangoQL({
+        ...djangoQL.options,
+        introspections: { current_model: 'core.book', models: {} },
+      });
+      await expect(widget.ready).rejects.toThrow(
+        'introspections have no usable current model',
+      );
+      logError.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,155 @@
+import { CompletionContext } from '@codemirror/autocomplete';
+import { StringStream } from '@codemirror/language';
+import { EditorState } from '@codemirror/state';
+
+import { djangoql, djangoqlLanguage } from '@/codemirror';
+
+const introspections = {
+  current_model: 'core.book',
+  models: {
+    'auth.user': {
+      username: {
+        type: 'str',
+        relation: null,
+      },
+    },
+    'core.book': {
+      name: {
+        type: 'str',
+        relation: null,
+        options: true,
+      },
+      author: {
+        type: 'relation',
+        relation: 'auth.user',
+      },
+      is_published: {
+        type: 'bool',
+        relation: null,
+      },
+    },
+  },
+  suggestions_api_url: 'suggestions/',
+};
+
+function fakeFetch(data) {
+  return jest.fn(() => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve(data),
+  }));
+}
+
+function complete(doc, extension) {
+  const state = EditorState.create({
+    doc,
+    selection: { anchor: doc.length },
+    extensions: [extension],
+  });
+  const [source] = state.languageDataAt('autocomplete', doc.length);
+  return {
+    state,
+    result: source(new CompletionContext(state, doc.length, false)),
+  };
+}
+
+describe('test DjangoQL CodeMirror support', () => {
+  describe('djangoqlLanguage', () => {
+    it('should highlight tokens recognized by the lexer', () => {
+      const stream = new StringStream(
+        'author.username startswith "t" and id != None #',
+        4,
+        2,
+      );
+      const styles = [];
+      while (!stream.eol()) {
+        stream.start = stream.pos;
+        const style = djangoqlLanguage.streamParser.token(stream, null);
+        if (style) {
+          styles.push([stream.current(), style]);
+        }
+      }
+      expect(styles).toStrictEqual([
+        ['author.username', 'propertyName'],
+        ['startswith', 'keyword'],
+        ['"t"', 'string'],
+        ['and', 'keyword'],
+        ['id', 'propertyName'],
+        ['!=', 'compareOperator'],
+        ['None', 'null'],
+        ['#', 'invalid'],
+      ]);
+    });
+  });
+
+  describe('djangoql()', () => {
+    it('should provide completion from the engine', () => {
+      const { result } = complete('author.', djangoql({ introspections }));
+      expect(result.from).toBe(7);
+      expect(result.filter).toBe(false);
+      expect(result.options.map((o) => o.label)).toStrictEqual(['username']);
+
+      const { result: comparison } = complete(
+        'is_published ',
+        djangoql({ introspections }),
+      );
+      expect(comparison.options.map((o) => [o.label, o.detail]))
+        .toStrictEqual([['=', undefined], ['!=', 'is not equal to']]);
+    });
+
+    it('should apply suggestions with snippets', () => {
+      const { state, result } = complete(
+        'is_pub',
+        djangoql({ introspections }),
+      );
+      const view = { state, dispatch: jest.fn() };
+      result.options[0].apply(view);
+      expect(view.dispatch).toHaveBeenCalledWith({
+        changes: { from: 6, to: 6, insert: 'lished ' },
+        selection: { anchor: 13 },
+        userEvent: 'input.complete',
+      });
+    });
+
+    it('should load field options from suggestions API', async () => {
+      expect.assertions(3);
+      const fetch = fakeFetch({ items: ['War and Peace'], has_next: false });
+      const { result } = complete(
+        'name = "war',
+        djangoql({ introspections, fetch }),
+      );
+      const options = await result;
+      expect(fetch.mock.calls[0][0]).toBe(
+        'suggestions/?field=core.book.name&search=war',
+      );
+      expect(options.from).toBe(8);
+      expect(options.options.map((o) => o.label))
+        .toStrictEqual(['War and Peace']);
+    });
+
+    it('should load introspections from URL', async () => {
+      expect.assertions(2);
+      const fetch = fakeFetch(introspections);
+      const extension = djangoql({ introspections: 'introspections/', fetch });
+      expect(complete('auth', extension).result).toBeNull();
+      await new Promise((resolve) => { setTimeout(resolve); });
+      expect(complete('auth', extension).result.options[0].label)
+        .toBe('author');
+    });
+
+    it('should report problems found in introspections', () => {
+      const consoleError = jest.spyOn(console, 'error')
+        .mockImplementation(() => {});
+      djangoql({
+        introspections: {
+          current_model: 'core.book',
+          models: { 'core.book': introspections.models['core.book'] },
+        },
+      });
+      expect(consoleError).toHaveBeenCalledWith(
+        'DjangoQL: invalid introspections: Field "author" of model '
+        + '"core.book" refers to unknown model "auth.user"',
+      );
+      consoleError.mockRestore();
+    });
+  });
+});
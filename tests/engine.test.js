@@ -0,0 +1,591 @@
+/**
+ * @jest-environment node
+ */
+import { createEngine } from '@/engine';
+
+let engine;
+
+function response(data, ok = true) {
+  return { ok, json: () => Promise.resolve(data) };
+}
+
+describe('test DjangoQL completion engine', () => {
+  beforeEach(() => {
+    engine = createEngine({
+      current_model: 'core.book',
+      models: {
+        'auth.user': {
+          book: {
+            type: 'relation',
+            relation: 'core.book',
+          },
+          username: {
+            type: 'str',
+            relation: null,
+          },
+        },
+        'core.book': {
+          name: {
+            type: 'str',
+            relation: null,
+          },
+          author: {
+            type: 'relation',
+            relation: 'auth.user',
+          },
+          is_published: {
+            type: 'bool',
+            relation: null,
+          },
+          genre: {
+            type: 'str',
+            relation: null,
+            options: ['Drama', 'Comedy', 'Tragedy'],
+          },
+          publisher: {
+            type: 'str',
+            relation: null,
+            options: true,
+          },
+        },
+      },
+      suggestions_api_url: 'suggestions/',
+    });
+  });
+
+  describe('.complete()', () => {
+    it('should work without DOM', () => {
+      expect(typeof document).toBe('undefined');
+      const result = engine.complete('author.us', 9);
+      expect(result.scope).toBe('field');
+      expect(result.model).toBe('auth.user');
+      expect(result.prefix).toBe('us');
+      expect(result.from).toBe(7);
+      expect(result.to).toBe(9);
+      expect(result.suggestions.map((s) => s.text)).toStrictEqual([
+        'username',
+      ]);
+    });
+
+    it('should return replacement range covering the current token', () => {
+      const result = engine.complete('is_pub = True', 3);
+      expect(result.prefix).toBe('is_');
+      expect(result.from).toBe(0);
+      expect(result.to).toBe(6);
+    });
+
+    it('should return plain data for operator suggestions', () => {
+      const result = engine.complete('name !', 6);
+      expect(result.scope).toBe('comparison');
+      expect(result.suggestions).toStrictEqual([
+        {
+          text: '!=',
+          snippetBefore: '',
+          snippetAfter: ' "|"',
+          explanation: 'is not equal to',
+          suggestionText: '!=<i>is not equal to</i>',
+        },
+        {
+          text: '!~',
+          snippetBefore: '',
+          snippetAfter: ' "|"',
+          explanation: 'does not contain',
+          suggestionText: '!~<i>does not contain</i>',
+        },
+      ]);
+    });
+
+    it('should filter static options case-insensitively', () => {
+      const result = engine.complete('genre = "dy', 11);
+      expect(result.scope).toBe('value');
+      expect(result.caseSensitive).toBe(false);
+      expect(result.suggestions.map((s) => s.text)).toStrictEqual([
+        'Comedy',
+        'Tragedy',
+      ]);
+    });
+
+    it('should display labels and descriptions of options', () => {
+      engine.models['core.book'].genre.options = [
+        { value: 'drama', label: 'Drama', description: 'Serious stories' },
+        { value: 'comedy', label: 'Comedy' },
+        'Tragedy',
+      ];
+      const result = engine.complete('genre = "dra', 12);
+      expect(result.suggestions).toStrictEqual([
+        {
+          text: 'drama',
+          snippetBefore: '"',
+          snippetAfter: '"',
+          explanation: 'Serious stories',
+          label: 'Drama',
+          suggestionText: 'Drama<i>Serious stories</i>',
+        },
+      ]);
+      expect(engine.applySuggestion('genre = "dra', 12, result.suggestions[0]))
+        .toStrictEqual({ text: 'genre = "drama"', cursorPos: 15 });
+      expect(engine.complete('genre = "', 9).suggestions.map((s) => s.text))
+        .toStrictEqual(['drama', 'comedy', 'Tragedy']);
+    });
+
+    it('should suggest options inside of "in" lists', () => {
+      const texts = (result) => result.suggestions.map((s) => s.text);
+      let text = 'genre in ("';
+      let result = engine.complete(text, text.length);
+      expect(result.scope).toBe('value');
+      expect(texts(result)).toStrictEqual(['Drama', 'Comedy', 'Tragedy']);
+
+      // Values already present in the list are skipped
+      text = 'genre not in ("Drama", "Tragedy", "';
+      result = engine.complete(text, text.length);
+      expect(texts(result)).toStrictEqual(['Comedy']);
+      text = 'genre in ("Drama", "co")';
+      result = engine.complete(text, 22);
+      expect(result.prefix).toBe('co');
+      expect(texts(result)).toStrictEqual(['Comedy']);
+      expect(engine.applySuggestion(text, 22, result.suggestions[0]))
+        .toStrictEqual({
+          text: 'genre in ("Drama", "Comedy")',
+          cursorPos: 27,
+        });
+
+      // Separators are pasted if they're missing
+      text = 'genre in ("Drama",)';
+      result = engine.complete(text, 18);
+      expect(engine.applySuggestion(text, 18, result.suggestions[0]))
+        .toStrictEqual({
+          text: 'genre in ("Drama", "Comedy")',
+          cursorPos: 27,
+        });
+      text = 'genre in ("Drama")';
+      result = engine.complete(text, 10);
+      expect(engine.applySuggestion(text, 10, result.suggestions[0]))
+        .toStrictEqual({
+          text: 'genre in ("Comedy", "Drama")',
+          cursorPos: 20,
+        });
+    });
+
+    it('should suggest options after startswith and endswith', () => {
+      const texts = (text) => engine.complete(text, text.length)
+        .suggestions.map((s) => s.text);
+      expect(texts('genre startswith "d')).toStrictEqual(['Drama']);
+      expect(texts('genre endswith "dy')).toStrictEqual(['Comedy', 'Tragedy']);
+      expect(texts('genre not startswith "co')).toStrictEqual(['Comedy']);
+      expect(texts('genre not endswith "ma')).toStrictEqual(['Drama']);
+
+      const result = engine.complete('publisher startswith "pen', 25);
+      expect(result.fieldOptions.context.searchMode).toBe('startswith');
+      expect(result.fieldOptions.cacheKey)
+        .toBe('suggestions/|core.book|core.book.publisher|pen|startswith');
+    });
+
+    it('should suggest logical operators after complete comparisons', () => {
+      const texts = (text) => engine.complete(text, text.length)
+        .suggestions.map((s) => s.text);
+      expect(texts('is_published = True ')).toStrictEqual(['and', 'or']);
+      expect(texts('author = None ')).toStrictEqual(['and', 'or']);
+      expect(texts('(name ~ "war" or is_published = False ')).toStrictEqual([
+        'and',
+        'or',
+        ')',
+      ]);
+      expect(texts('not ((genre in ("Drama") ')).toStrictEqual([
+        'and',
+        'or',
+        ')',
+      ]);
+      expect(texts('(name ~ "war") ')).toStrictEqual(['and', 'or']);
+      expect(texts('name ~ "war" or genre = ')).not.toContain('and');
+    });
+
+    it('should suggest logical operators after illegal characters', () => {
+      const texts = (text) => engine.complete(text, text.length)
+        .suggestions.map((s) => s.text);
+      expect(texts('id = 1 $ and name ~ "war" ')).toStrictEqual(['and', 'or']);
+      expect(texts('(id = 1 ! and is_published = True ')).toStrictEqual([
+        'and',
+        'or',
+        ')',
+      ]);
+      expect(texts('id # = ')).not.toContain('and');
+    });
+
+    it('should suggest groups along with fields', () => {
+      const texts = (text) => engine.complete(text, text.length)
+        .suggestions.map((s) => s.text);
+      expect(texts('is_published = True and n')).toStrictEqual([
+        'name',
+        'genre',
+        'not (',
+      ]);
+      expect(texts('name = "war" or ')).toContain('(');
+      expect(texts('name = "war" or not (')).toContain('not (');
+      expect(texts('name = "war" or not (is_')).toStrictEqual([
+        'is_published',
+      ]);
+      expect(texts('author.')).not.toContain('(');
+    });
+
+    it('should search options by multi-word string prefixes', () => {
+      let text = 'publisher = "war and pe';
+      let result = engine.complete(text, text.length);
+      expect(result.scope).toBe('value');
+      expect(result.prefix).toBe('war and pe');
+      expect(result.fieldOptions.cacheKey)
+        .toBe('suggestions/|core.book|core.book.publisher|war and pe');
+
+      // The whole string is replaced if it's terminated after the cursor
+      text = 'publisher = "war and peace" and is_published = True';
+      result = engine.complete(text, 23);
+      expect(result.prefix).toBe('war and pe');
+      expect([result.from, result.to]).toStrictEqual([13, 27]);
+
+      text = 'publisher ~ "x" and name = "war and pe';
+      result = engine.complete(text, text.length);
+      expect(result.scope).toBe('value');
+      expect(result.field).toBe('name');
+      expect(engine.complete('"war and pe', 11).scope).toBeNull();
+    });
+
+    it('should escape and unescape option values', () => {
+      engine.models['core.book'].genre.options = ['Say "hi"', 'C:\\dir'];
+      let text = 'genre = "Say \\"h';
+      let result = engine.complete(text, text.length);
+      expect(result.prefix).toBe('Say "h');
+      expect(result.from).toBe(9);
+      expect(result.suggestions.map((s) => [s.text, s.label]))
+        .toStrictEqual([['Say \\"hi\\"', 'Say "hi"']]);
+      expect(engine.applySuggestion(text, 16, result.suggestions[0]))
+        .toStrictEqual({ text: 'genre = "Say \\"hi\\""', cursorPos: 20 });
+
+      text = 'genre in ("Say \\"hi\\"", "';
+      result = engine.complete(text, text.length);
+      expect(result.suggestions.map((s) => s.label))
+        .toStrictEqual(['C:\\dir']);
+    });
+
+    it('should suggest None for nullable fields and relations', () => {
+      const { models } = engine;
+      engine = createEngine({
+        current_model: 'core.book',
+        models: {
+          ...models,
+          'core.book': {
+            ...models['core.book'],
+            name: { ...models['core.book'].name, nullable: true },
+            genre: { ...models['core.book'].genre, nullable: true },
+            author: { ...models['core.book'].author, nullable: false },
+          },
+        },
+      });
+      const texts = (query) => engine.complete(query, query.length)
+        .suggestions.map((s) => s.text);
+      expect(texts('name = ')).toStrictEqual(['None']);
+      expect(texts('name != N')).toStrictEqual(['None']);
+      // None should start with the prefix, unlike options containing it
+      expect(texts('name = n')).toStrictEqual(['None']);
+      expect(texts('name = on')).toStrictEqual([]);
+      expect(texts('genre = o')).toStrictEqual(['Comedy']);
+      expect(texts('genre = '))
+        .toStrictEqual(['Drama', 'Comedy', 'Tragedy', 'None']);
+      expect(texts('name ~ ')).toStrictEqual([]);
+      expect(texts('name = "')).toStrictEqual([]);
+      expect(texts('genre in ('))
+        .toStrictEqual(['Drama', 'Comedy', 'Tragedy']);
+      expect(texts('is_published = ')).toStrictEqual(['True', 'False']);
+      // Relations are nullable unless stated otherwise
+      expect(texts('author = ')).toStrictEqual([]);
+      expect(texts('author.book = ')).toStrictEqual(['None']);
+
+      engine = createEngine(
+        { current_model: 'core.book', models: engine.models },
+        { valuesCaseSensitive: true },
+      );
+      expect(texts('name = n')).toStrictEqual([]);
+      expect(texts('name = N')).toStrictEqual(['None']);
+    });
+
+    it('should only suggest = and != for comparisons with None', () => {
+      const result = engine.complete('name  None', 5);
+      expect(result.scope).toBe('comparison');
+      expect(result.suggestions.map((s) => s.text))
+        .toStrictEqual(['=', '!=']);
+      expect(engine.complete('name ', 5).suggestions.length)
+        .toBeGreaterThan(2);
+    });
+
+    it('should return cache key for options loaded from API', () => {
+      const result = engine.complete('publisher = "pen', 16);
+      expect(result.suggestions).toStrictEqual([]);
+      expect(result.fieldOptions.cacheKey)
+        .toBe('suggestions/|core.book|core.book.publisher|pen');
+    });
+  });
+
+  describe('sendQueryContext option', () => {
+    it('should add other conditions to field options requests', async () => {
+      expect.assertions(6);
+      const fetch = jest.fn(() => Promise.resolve(response({
+        items: ['Anna Karenina'],
+        page: 1,
+      })));
+      engine = createEngine({
+        current_model: 'core.book',
+        models: engine.models,
+        suggestions_api_url: 'suggestions/',
+      }, { fetch, sendQueryContext: true });
+
+      const text = 'author.username = "tolstoy" and publisher = "';
+      const result = engine.complete(text, text.length);
+      expect(result.fieldOptions.context.query)
+        .toBe('author.username = "tolstoy"');
+      expect(result.fieldOptions.cacheKey).toBe(
+        'suggestions/|core.book|core.book.publisher||author.username = '
+          + '"tolstoy"',
+      );
+      await engine.loadFieldOptions(result.fieldOptions);
+      expect(fetch.mock.calls[0][0]).toBe(
+        'suggestions/?field=core.book.publisher&search='
+          + '&query=author.username%20%3D%20%22tolstoy%22',
+      );
+
+      // Conditions are sent as a single parameter whatever they contain
+      const special = 'author.username = "a&b+c#d" and publisher = "';
+      await engine.loadFieldOptions(
+        engine.complete(special, special.length).fieldOptions,
+      );
+      expect(fetch.mock.calls[1][0]).toBe(
+        'suggestions/?field=core.book.publisher&search='
+          + '&query=author.username%20%3D%20%22a%26b%2Bc%23d%22',
+      );
+
+      // Conditions combined with "or" can't narrow down options
+      const other = 'name ~ "war" or publisher = "';
+      expect(engine.complete(other, other.length).fieldOptions.context)
+        .not.toHaveProperty('query');
+      expect(engine.getQueryConditions(
+        'publisher = "pen" and (genre in ("Drama", "Comedy") and id > 1)',
+        15,
+      )).toBe('genre in ("Drama", "Comedy") and id > 1');
+    });
+  });
+
+  describe('.applySuggestion()', () => {
+    it('should paste suggestion with snippets and move cursor', () => {
+      let result = engine.complete('is_p', 4);
+      expect(engine.applySuggestion('is_p', 4, result.suggestions[0]))
+        .toStrictEqual({ text: 'is_published ', cursorPos: 13 });
+
+      result = engine.complete('name ', 5);
+      expect(engine.applySuggestion('name ', 5, result.suggestions[0]))
+        .toStrictEqual({ text: 'name = ""', cursorPos: 8 });
+
+      // The lexer doesn't recognize "!" as a token, but it's still replaced
+      result = engine.complete('name !', 6);
+      expect(engine.applySuggestion('name !', 6, result.suggestions[0]))
+        .toStrictEqual({ text: 'name != ""', cursorPos: 9 });
+    });
+
+    it('should keep the rest of the query separated', () => {
+      const drama = engine.complete('genre = "Dr', 11).suggestions[0];
+      const examples = [
+        ['genre = "Dr" and name = "x"', 11, 'genre = "Drama" and name = "x"'],
+        ['(genre = "Dr") or id = 1', 12, '(genre = "Drama") or id = 1'],
+        ['genre in ("Dr", "Comedy")', 13, 'genre in ("Drama", "Comedy")'],
+      ];
+      examples.forEach(([text, cursorPos, expected]) => {
+        expect(engine.applySuggestion(text, cursorPos, drama).text)
+          .toBe(expected);
+      });
+
+      const field = engine.complete('is_p', 4).suggestions[0];
+      expect(engine.applySuggestion('is_p  = True', 4, field))
+        .toStrictEqual({ text: 'is_published = True', cursorPos: 13 });
+    });
+  });
+
+  describe('.fetchJson()', () => {
+    it('should send headers and transform response', async () => {
+      expect.assertions(3);
+      const fetch = jest.fn(() => Promise.resolve(response({ result: 1 })));
+      engine = createEngine(null, {
+        fetch,
+        headers: (url) => ({ 'X-Url': url }),
+        credentials: 'include',
+        transformResponse: (data) => data.result,
+      });
+      await expect(engine.fetchJson('data/')).resolves.toBe(1);
+      expect(fetch.mock.calls[0][1].headers).toStrictEqual({
+        'X-Url': 'data/',
+      });
+      expect(fetch.mock.calls[0][1].credentials).toBe('include');
+    });
+
+    it('should report failed requests', async () => {
+      expect.assertions(2);
+      engine = createEngine(null, {
+        fetch: jest.fn()
+          .mockReturnValueOnce(Promise.resolve(response(null, false)))
+          .mockReturnValueOnce(Promise.reject(new TypeError('Network'))),
+      });
+      await expect(engine.fetchJson('data/'))
+        .rejects.toThrow('failed to fetch from data/');
+      await expect(engine.fetchJson('data/'))
+        .rejects.toThrow('failed to fetch from data/');
+    });
+
+    it('should abort requests on timeout or signal', async () => {
+      expect.assertions(3);
+      const signals = [];
+      const fetch = jest.fn((url, init) => new Promise((resolve, reject) => {
+        signals.push(init.signal);
+        init.signal.addEventListener('abort', () => {
+          const error = new Error('aborted');
+          error.name = 'AbortError';
+          reject(error);
+        });
+      }));
+      engine = createEngine(null, { fetch, timeout: 10 });
+      await expect(engine.fetchJson('data/'))
+        .rejects.toThrow('request to data/ timed out');
+
+      const controller = new AbortController();
+      const promise = engine.fetchJson('data/', controller.signal);
+      controller.abort();
+      await expect(promise).rejects.toHaveProperty('name', 'AbortError');
+      expect(signals[1].aborted).toBe(true);
+    });
+  });
+
+  describe('.loadFieldOptions()', () => {
+    it('should load and cache options page by page', async () => {
+      expect.assertions(5);
+      const provider = jest.fn((prefix, page) => ({
+        items: [`${prefix} ${page}`],
+        has_next: page < 2,
+      }));
+      engine = createEngine({
+        current_model: 'core.book',
+        models: engine.models,
+      }, { valueProviders: { 'core.book.name': provider } });
+      const { fieldOptions } = engine.complete('name = "war', 11);
+
+      const texts = (suggestions) => suggestions.map((s) => s.text);
+      expect(texts(await engine.loadFieldOptions(fieldOptions)))
+        .toStrictEqual(['war 1']);
+      expect(texts(await engine.loadFieldOptions(fieldOptions, true)))
+        .toStrictEqual(['war 1', 'war 2']);
+      // All pages are loaded and cached
+      expect(engine.nextOptionsPage(fieldOptions, true)).toBeNull();
+      expect(texts(await engine.loadFieldOptions(fieldOptions, true)))
+        .toStrictEqual(['war 1', 'war 2']);
+      expect(Array.from(provider.mock.calls, (call) => call[1]))
+        .toStrictEqual([1, 2]);
+    });
+
+    it('should not cache aborted requests', async () => {
+      expect.assertions(4);
+      const provider = jest.fn(() => ({ items: ['War'], has_next: false }));
+      engine = createEngine({
+        current_model: 'core.book',
+        models: engine.models,
+      }, { valueProviders: { 'core.book.name': provider } });
+      const { fieldOptions } = engine.complete('name = "war', 11);
+
+      const controller = new AbortController();
+      const promise = engine.loadFieldOptions(
+        fieldOptions,
+        false,
+        controller.signal,
+      );
+      expect(engine.nextOptionsPage(fieldOptions)).toBeNull();
+      controller.abort();
+      await expect(promise).rejects.toHaveProperty('name', 'AbortError');
+      expect(engine.getCachedOptions(fieldOptions)).toBeNull();
+      expect(await engine.loadFieldOptions(fieldOptions))
+        .toHaveLength(1);
+    });
+
+    it('should load options from value providers', async () => {
+      expect.assertions(5);
+      const providers = {
+        'auth.user.username': jest.fn(() => ({
+          items: ['tolstoy', 'tolkien'],
+          has_next: false,
+        })),
+        str: jest.fn(() => Promise.resolve({ items: [], has_next: false })),
+      };
+      engine = createEngine({
+        current_model: 'core.book',
+        models: engine.models,
+      }, { valueProviders: providers });
+
+      // Schema options take precedence over providers for field types
+      expect(engine.complete('genre = "dy', 11).suggestions.map((s) => s.text))
+        .toStrictEqual(['Comedy', 'Tragedy']);
+      const result = engine.complete('author.username = "tol', 22);
+      expect(result.suggestions).toStrictEqual([]);
+      expect(result.fieldOptions.cacheKey)
+        .toBe('provider|core.book|auth.user.username|tol');
+
+      const suggestions = await engine.loadFieldOptions(result.fieldOptions);
+      expect(suggestions.map((s) => s.text))
+        .toStrictEqual(['tolstoy', 'tolkien']);
+      expect(providers['auth.user.username'])
+        .toHaveBeenCalledWith('tol', 1, expect.anything(), undefined);
+    });
+  });
+
+  describe('nullable fields', () => {
+    it('should suggest None along with options from API', async () => {
+      expect.assertions(2);
+      const fetch = jest.fn(() => Promise.resolve(response({
+        items: ['War', 'Peace'],
+        page: 1,
+      })));
+      const { models } = engine;
+      engine = createEngine({
+        current_model: 'core.book',
+        models: {
+          ...models,
+          'core.book': {
+            ...models['core.book'],
+            publisher: { ...models['core.book'].publisher, nullable: true },
+          },
+        },
+        suggestions_api_url: 'suggestions/',
+      }, { fetch });
+      const result = engine.complete('publisher = ', 12);
+      expect(result.suggestions.map((s) => s.text)).toStrictEqual(['None']);
+
+      const suggestions = await engine.loadFieldOptions(result.fieldOptions);
+      expect(suggestions.map((s) => s.text))
+        .toStrictEqual(['War', 'Peace', 'None']);
+    });
+  });
+
+  describe('.loadModel()', () => {
+    it('should load related models on demand', async () => {
+      expect.assertions(5);
+      const { models } = engine;
+      const fetch = jest.fn(() => Promise.resolve(response({
+        models: { 'auth.user': models['auth.user'] },
+      })));
+      engine = createEngine({
+        current_model: 'core.book',
+        models: { 'core.book': models['core.book'] },
+        models_api_url: 'models/',
+      }, { fetch });
+      expect(engine.validate('author.username = "tolstoy"')).toStrictEqual([]);
+      expect(engine.complete('author.', 7).missingModel).toBe('auth.user');
+
+      await engine.loadModel('auth.user');
+      expect(fetch.mock.calls[0][0]).toBe('models/?model=auth.user');
+      const result = engine.complete('author.', 7);
+      expect(result.missingModel).toBeNull();
+      expect(result.suggestions.map((s) => s.text))
+        .toStrictEqual(['username']);
+    });
+  });
+});
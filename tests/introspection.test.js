@@ -0,0 +1,90 @@
+import { checkIntrospections } from '@/introspection';
+
+describe('test DjangoQL introspections check', () => {
+  it('should skip unusable models and fields', () => {
+    const { introspections, problems } = checkIntrospections({
+      current_model: 'core.book',
+      models: {
+        'core.book': {
+          name: { type: 'str', relation: null, options: 'all' },
+          author: { type: 'relation', relation: 'auth.user' },
+          publisher: { type: 'relation' },
+          cover: { type: 'image', relation: null },
+          pages: 100,
+        },
+        'core.genre': null,
+      },
+    });
+    expect(introspections.models).toStrictEqual({
+      'core.book': {
+        name: { type: 'str', relation: null, options: null },
+        cover: { type: 'image', relation: null },
+      },
+    });
+    expect(introspections.current_model).toBe('core.book');
+    expect(problems.map((p) => p.message)).toStrictEqual([
+      'Field "name" of model "core.book" options should be either a list '
+        + 'or true',
+      'Field "author" of model "core.book" refers to unknown model '
+        + '"auth.user"',
+      'Field "publisher" of model "core.book" is a relation, but the related '
+        + 'model is not specified',
+      'Field "cover" of model "core.book" has unknown type "image"',
+      'Field "pages" of model "core.book" should be an object',
+      'Model "core.genre" should be an object with field definitions',
+    ]);
+    expect(problems[1].path).toStrictEqual(['models', 'core.book', 'author']);
+  });
+
+  it('should skip options without value', () => {
+    const { introspections, problems } = checkIntrospections({
+      current_model: 'core.book',
+      models: {
+        'core.book': {
+          genre: {
+            type: 'str',
+            relation: null,
+            options: ['Drama', { value: 'comedy' }, { label: 'Tragedy' }],
+          },
+        },
+      },
+    });
+    expect(introspections.models['core.book'].genre.options)
+      .toStrictEqual(['Drama', { value: 'comedy' }]);
+    expect(problems.map((p) => p.message)).toStrictEqual([
+      'Field "genre" of model "core.book" has options without value',
+    ]);
+  });
+
+  it('should allow relations to models loaded on demand', () => {
+    const { problems } = checkIntrospections({
+      current_model: 'core.book',
+      models: {
+        'core.book': {
+          author: { type: 'relation', relation: 'auth.user' },
+        },
+      },
+      models_api_url: 'models/',
+    });
+    expect(problems).toStrictEqual([]);
+  });
+
+  it('should report missing current model', () => {
+    expect(checkIntrospections({ models: {} })).toStrictEqual({
+      introspections: { current_model: null, models: {} },
+      problems: [{
+        path: ['current_model'],
+        message: '"current_model" is not specified',
+      }],
+    });
+    expect(checkIntrospections(null).problems[0].message)
+      .toBe('Introspections should be an object');
+    expect(checkIntrospections({
+      current_model: 'core.book',
+      models: [],
+    }).problems.map((p) => p.message)).toStrictEqual([
+      '"models" should be an object with model definitions',
+      'Current model "core.book" is not defined in "models"',
+    ]);
+  });
+});
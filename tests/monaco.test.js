@@ -0,0 +1,213 @@
+import { monarchLanguage, registerDjangoQL } from '@/monaco';
+
+const introspections = {
+  current_model: 'core.book',
+  models: {
+    'auth.user': {
+      username: {
+        type: 'str',
+        relation: null,
+      },
+    },
+    'core.book': {
+      name: {
+        type: 'str',
+        relation: null,
+      },
+      author: {
+        type: 'relation',
+        relation: 'auth.user',
+      },
+      is_published: {
+        type: 'bool',
+        relation: null,
+      },
+    },
+  },
+};
+
+let monaco;
+let providers;
+
+function disposable() {
+  return { dispose: jest.fn() };
+}
+
+// Minimal single-line text model
+function textModel(value) {
+  return {
+    uri: 'inmemory://model/1',
+    getValue: () => value,
+    getLanguageId: () => 'djangoql',
+    getOffsetAt: (position) => position.column - 1,
+    getPositionAt: (offset) => ({ lineNumber: 1, column: offset + 1 }),
+    onDidChangeContent: jest.fn(disposable),
+    onWillDispose: jest.fn(disposable),
+  };
+}
+
+describe('test DjangoQL Monaco adapter', () => {
+  beforeEach(() => {
+    providers = {};
+    monaco = {
+      MarkerSeverity: { Error: 8, Warning: 4 },
+      editor: {
+        getModels: jest.fn(() => []),
+        setModelMarkers: jest.fn(),
+        onDidCreateModel: jest.fn(disposable),
+        onDidChangeModelLanguage: jest.fn(disposable),
+      },
+      languages: {
+        CompletionItemKind: {
+          Field: 3,
+          Operator: 11,
+          Value: 13,
+          Keyword: 17,
+        },
+        CompletionItemInsertTextRule: { InsertAsSnippet: 4 },
+        register: jest.fn(),
+        setMonarchTokensProvider: jest.fn(disposable),
+        setLanguageConfiguration: jest.fn(disposable),
+        registerCompletionItemProvider: jest.fn((id, provider) => {
+          providers.completion = provider;
+          return disposable();
+        }),
+        registerHoverProvider: jest.fn((id, provider) => {
+          providers.hover = provider;
+          return disposable();
+        }),
+      },
+    };
+  });
+
+  describe('monarchLanguage', () => {
+    it('should prefer keywords over names only for whole words', () => {
+      const [, keyword] = monarchLanguage.tokenizer.root;
+      expect(keyword[0].test('and')).toBe(true);
+      expect(keyword[0].test('android')).toBe(false);
+    });
+  });
+
+  describe('registerDjangoQL()', () => {
+    it('should register the language and providers', () => {
+      const registration = registerDjangoQL(monaco, { introspections });
+      expect(monaco.languages.register)
+        .toHaveBeenCalledWith({ id: 'djangoql' });
+      expect(monaco.languages.setMonarchTokensProvider)
+        .toHaveBeenCalledWith('djangoql', monarchLanguage);
+      expect(registration.engine.currentModel).toBe('core.book');
+      registration.dispose();
+      expect(monaco.editor.onDidCreateModel.mock.results[0].value.dispose)
+        .toHaveBeenCalledWith();
+    });
+
+    it('should provide completion items as snippets', () => {
+      registerDjangoQL(monaco, { introspections });
+      const model = textModel('name');
+      const { suggestions } = providers.completion.provideCompletionItems(
+        model,
+        { lineNumber: 1, column: 5 },
+      );
+      expect(suggestions).toHaveLength(1);
+
+      const comparison = providers.completion.provideCompletionItems(
+        textModel('name !'),
+        { lineNumber: 1, column: 7 },
+      ).suggestions[0];
+      expect(comparison).toStrictEqual({
+        label: '!=',
+        kind: 11,
+        detail: 'is not equal to',
+        insertText: '= "$0"',
+        insertTextRules: 4,
+        filterText: '!=',
+        range: {
+          startLineNumber: 1,
+          startColumn: 7,
+          endLineNumber: 1,
+          endColumn: 7,
+        },
+      });
+    });
+
+    it('should show field types on hover', () => {
+      registerDjangoQL(monaco, { introspections });
+      const model = textModel('author.username = "tolstoy"');
+      let hover = providers.hover.provideHover(
+        model,
+        { lineNumber: 1, column: 3 },
+      );
+      expect(hover.contents).toStrictEqual([
+        { value: '**author**' },
+        { value: 'relation to auth.user' },
+      ]);
+      expect(hover.range.endColumn).toBe(7);
+
+      hover = providers.hover.provideHover(
+        model,
+        { lineNumber: 1, column: 10 },
+      );
+      expect(hover.contents).toStrictEqual([
+        { value: '**author.username**' },
+        { value: 'str field of auth.user' },
+      ]);
+      expect(providers.hover.provideHover(
+        model,
+        { lineNumber: 1, column: 21 },
+      )).toBeNull();
+    });
+
+    it('should set diagnostics markers for models', () => {
+      const model = textModel('is_published ~ "yes"');
+      monaco.editor.getModels.mockReturnValue([model]);
+      registerDjangoQL(monaco, { introspections });
+      expect(monaco.editor.setModelMarkers).toHaveBeenCalledWith(
+        model,
+        'djangoql',
+        [{
+          severity: 8,
+          message: 'Operator "~" can\'t be used with bool field '
+            + '"is_published"',
+          startLineNumber: 1,
+          startColumn: 14,
+          endLineNumber: 1,
+          endColumn: 15,
+        }],
+      );
+      expect(model.onDidChangeContent).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report problems found in introspections', () => {
+      const consoleError = jest.spyOn(console, 'error')
+        .mockImplementation(() => {});
+      registerDjangoQL(monaco, {
+        introspections: {
+          current_model: 'core.book',
+          models: { 'core.book': introspections.models['core.book'] },
+        },
+      });
+      expect(consoleError).toHaveBeenCalledWith(
+        'DjangoQL: invalid introspections: Field "author" of model '
+        + '"core.book" refers to unknown model "auth.user"',
+      );
+      consoleError.mockRestore();
+    });
+
+    it('should report introspections loading errors', async () => {
+      expect.assertions(2);
+      const consoleError = jest.spyOn(console, 'error')
+        .mockImplementation(() => {});
+      monaco.editor.getModels.mockReturnValue([textModel('name = "x"')]);
+      registerDjangoQL(monaco, {
+        introspections: 'introspections/',
+        fetch: () => Promise.reject(new Error('Network error')),
+      });
+      await new Promise((resolve) => { setTimeout(resolve); });
+      expect(consoleError).toHaveBeenCalledWith(
+        'DjangoQL: failed to fetch from introspections/',
+      );
+      expect(monaco.editor.setModelMarkers).toHaveBeenCalledTimes(1);
+      consoleError.mockRestore();
+    });
+  });
+});
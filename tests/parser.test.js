@@ -0,0 +1,154 @@
+import parse from '@/parser';
+
+describe('test DjangoQL parser', () => {
+  describe('parse()', () => {
+    it('should return null AST for empty queries', () => {
+      expect(parse('')).toStrictEqual({ ast: null, error: null });
+      expect(parse('  \n ')).toStrictEqual({ ast: null, error: null });
+    });
+
+    it('should parse comparisons with token positions', () => {
+      expect(parse('author.name ~ "war"').ast).toStrictEqual({
+        type: 'comparison',
+        name: {
+          type: 'name',
+          value: 'author.name',
+          start: 0,
+          end: 11,
+        },
+        operator: {
+          name: 'CONTAINS',
+          value: '~',
+          start: 12,
+          end: 13,
+        },
+        value: {
+          type: 'const',
+          valueType: 'str',
+          value: 'war',
+          raw: 'war',
+          start: 14,
+          end: 19,
+        },
+        start: 0,
+        end: 19,
+      });
+    });
+
+    it('should parse all kinds of values', () => {
+      const examples = [
+        ['a = "x\\"y"', 'str', 'x"y'],
+        ['a = "x\ty\\t\\u0041"', 'str', 'x\ty\tA'],
+        ['a = 42', 'int', 42],
+        ['a > -1.5e2', 'float', -150],
+        ['a = True', 'bool', true],
+        ['a != False', 'bool', false],
+        ['a = None', 'none', null],
+      ];
+      examples.forEach(([query, valueType, value]) => {
+        const { ast } = parse(query);
+        expect(ast.value.valueType).toBe(valueType);
+        expect(ast.value.value).toBe(value);
+      });
+    });
+
+    it('should parse word operators', () => {
+      const examples = [
+        ['a in (1, 2)', 'IN', 'in'],
+        ['a not in ("x")', 'NOT_IN', 'not in'],
+        ['a startswith "x"', 'STARTSWITH', 'startswith'],
+        ['a not endswith "x"', 'NOT_ENDSWITH', 'not endswith'],
+      ];
+      examples.forEach(([query, name, value]) => {
+        const { operator } = parse(query).ast;
+        expect(operator.name).toBe(name);
+        expect(operator.value).toBe(value);
+      });
+      expect(parse('a not in (1, 2.5)').ast.value).toStrictEqual({
+        type: 'list',
+        items: [
+          {
+            type: 'const',
+            valueType: 'int',
+            value: 1,
+            raw: '1',
+            start: 10,
+            end: 11,
+          },
+          {
+            type: 'const',
+            valueType: 'float',
+            value: 2.5,
+            raw: '2.5',
+            start: 13,
+            end: 16,
+          },
+        ],
+        start: 9,
+        end: 17,
+      });
+    });
+
+    it('should respect logical operators precedence and parens', () => {
+      let { ast } = parse('a = 1 or b = 2 and c = 3');
+      expect(ast.operator).toBe('or');
+      expect(ast.right.operator).toBe('and');
+      expect([ast.start, ast.end]).toStrictEqual([0, 24]);
+
+      ({ ast } = parse('(a = 1 or b = 2) and c = 3'));
+      expect(ast.operator).toBe('and');
+      expect(ast.left.operator).toBe('or');
+    });
+
+    it('should parse negated groups', () => {
+      const { ast } = parse('a = 1 and not (b = 2 or c = 3)');
+      expect(ast.right.type).toBe('not');
+      expect(ast.right.expression.operator).toBe('or');
+      expect([ast.right.start, ast.right.end]).toStrictEqual([10, 30]);
+      expect(parse('not a = 1').error.expected).toStrictEqual(['PAREN_L']);
+    });
+
+    it('should report syntax errors', () => {
+      const examples = [
+        ['a', 1, 1, ['COMPARISON']],
+        ['a = ', 4, 4, ['STRING_VALUE', 'INT_VALUE', 'FLOAT_VALUE', 'TRUE',
+          'FALSE', 'NONE']],
+        ['a ~ 1', 4, 5, ['STRING_VALUE']],
+        ['a > True', 4, 8, ['STRING_VALUE', 'INT_VALUE', 'FLOAT_VALUE']],
+        ['(a = 1', 6, 6, ['AND', 'OR', 'PAREN_R']],
+        ['a = 1)', 5, 6, ['AND', 'OR', 'EOF']],
+        ['a = 1 b = 2', 6, 7, ['AND', 'OR', 'EOF']],
+        ['a = 1 and', 9, 9, ['NAME', 'PAREN_L', 'NOT']],
+        ['a not = 1', 6, 7, ['IN', 'STARTSWITH', 'ENDSWITH']],
+        ['a in (1 2)', 8, 9, ['COMMA', 'PAREN_R']],
+        ['a in ()', 6, 7, ['STRING_VALUE', 'INT_VALUE', 'FLOAT_VALUE']],
+      ];
+      examples.forEach(([query, start, end, expected]) => {
+        const { ast, error } = parse(query);
+        expect(ast).toBeNull();
+        expect(error.start).toBe(start);
+        expect(error.end).toBe(end);
+        expect(error.expected).toStrictEqual(expected);
+      });
+      expect(parse('a = 1 b').error.message)
+        .toBe('Unexpected "b", expected "and", "or" or end of query');
+      expect(parse('a').error.message)
+        .toBe('Unexpected end of query, expected comparison operator');
+    });
+
+    it('should report illegal characters and unterminated strings', () => {
+      expect(parse('a @ 1').error).toStrictEqual({
+        message: 'Illegal character "@"',
+        start: 2,
+        end: 3,
+        expected: [],
+      });
+      expect(parse('a = "war').error).toStrictEqual({
+        message: 'Unterminated string',
+        start: 4,
+        end: 5,
+        expected: [],
+      });
+    });
+  });
+});
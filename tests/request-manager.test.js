@@ -0,0 +1,52 @@
+import RequestManager from '@/request-manager';
+
+let manager;
+let pending;
+
+describe('test DjangoQL request manager', () => {
+  beforeEach(() => {
+    pending = [];
+    manager = new RequestManager((url, signal) => new Promise(
+      (resolve, reject) => {
+        pending.push({ url, signal, resolve });
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      },
+    ));
+  });
+
+  it('should share identical requests', () => {
+    const promise = manager.request('options', 'a/');
+    expect(manager.request('options', 'a/')).toBe(promise);
+    expect(pending).toHaveLength(1);
+  });
+
+  it('should abort only stale requests with the same key', async () => {
+    expect.assertions(4);
+    const stale = manager.request('options:name', 'a/');
+    const other = manager.request('options:author', 'b/');
+    const fresh = manager.request('options:name', 'c/');
+    await expect(stale).rejects.toHaveProperty('name', 'AbortError');
+    pending[1].resolve('other');
+    pending[2].resolve('fresh');
+    await expect(other).resolves.toBe('other');
+    await expect(fresh).resolves.toBe('fresh');
+    expect(manager.isPending('options:name')).toBe(false);
+  });
+
+  it('should abort all requests', async () => {
+    expect.assertions(2);
+    const promise = manager.request('introspections', 'a/');
+    manager.abortAll();
+    expect(pending[0].signal.aborted).toBe(true);
+    await expect(promise).rejects.toHaveProperty('name', 'AbortError');
+  });
+
+  it('should use custom loaders', async () => {
+    expect.assertions(3);
+    const load = jest.fn(() => 'loaded');
+    const promise = manager.request('options:name', 'provider|1', load);
+    expect(manager.request('options:name', 'provider|1', load)).toBe(promise);
+    await expect(promise).resolves.toBe('loaded');
+    expect(pending).toHaveLength(0);
+  });
+});
@@ -0,0 +1,170 @@
+import parse from '@/parser';
+import validate from '@/validator';
+
+const models = {
+  'auth.user': {
+    book: {
+      type: 'relation',
+      relation: 'core.book',
+    },
+    username: {
+      type: 'str',
+      relation: null,
+    },
+    date_joined: {
+      type: 'datetime',
+      relation: null,
+    },
+  },
+  'core.book': {
+    id: {
+      type: 'int',
+      relation: null,
+    },
+    name: {
+      type: 'str',
+      relation: null,
+    },
+    author: {
+      type: 'relation',
+      relation: 'auth.user',
+    },
+    is_published: {
+      type: 'bool',
+      relation: null,
+    },
+    price: {
+      type: 'float',
+      relation: null,
+    },
+    written: {
+      type: 'date',
+      relation: null,
+    },
+    cover: {
+      type: 'unknown',
+      relation: null,
+    },
+  },
+};
+
+function check(query) {
+  return validate(parse(query).ast, models, 'core.book');
+}
+
+describe('test DjangoQL validator', () => {
+  describe('validate()', () => {
+    it('should accept valid queries', () => {
+      const queries = [
+        '',
+        'id = 1 and (name ~ "war" or price >= 10)',
+        'price < 9.99 and price > 1',
+        'is_published = True and author != None',
+        'author.username startswith "t" and author.book.id in (1, 2)',
+        'name not in ("a", "b") and written > "2021-01-01"',
+        'written ~ "2021" and author.date_joined = "2021-01-01 12:00"',
+        'cover = 1 and cover ~ "x"',
+        'not (is_published = True or price > 10) and id = 1',
+      ];
+      queries.forEach((query) => {
+        expect(check(query)).toStrictEqual([]);
+      });
+    });
+
+    it('should report unknown fields', () => {
+      expect(check('id = 1 or author.gav = 1')).toStrictEqual([{
+        severity: 'error',
+        message: 'Unknown field "author.gav"',
+        start: 10,
+        end: 20,
+      }]);
+      expect(check('not (gav = 1)').map((d) => d.message))
+        .toStrictEqual(['Unknown field "gav"']);
+    });
+
+    it('should report unsupported operators', () => {
+      expect(check('is_published ~ "yes"')).toStrictEqual([{
+        severity: 'error',
+        message: 'Operator "~" can\'t be used with bool field "is_published"',
+        start: 13,
+        end: 14,
+      }]);
+      expect(check('name > "a" and id startswith "1"')).toStrictEqual([{
+        severity: 'error',
+        message: 'Operator ">" can\'t be used with str field "name"',
+        start: 5,
+        end: 6,
+      }, {
+        severity: 'error',
+        message: 'Operator "startswith" can\'t be used with int field "id"',
+        start: 18,
+        end: 28,
+      }]);
+      expect(check('author in (1)')[0].message)
+        .toBe('"author" is a relation and can only be compared using = or !=');
+    });
+
+    it('should report values of a wrong type', () => {
+      expect(check('id = "1"')).toStrictEqual([{
+        severity: 'error',
+        message: 'Field "id" expects an integer, but a string was given',
+        start: 5,
+        end: 8,
+      }]);
+      expect(check('id in (1, 2.5)')).toStrictEqual([{
+        severity: 'error',
+        message: 'Field "id" expects an integer, but a number was given',
+        start: 10,
+        end: 13,
+      }]);
+      expect(check('name = 1')[0].message)
+        .toBe('Field "name" expects a string, but a number was given');
+      expect(check('is_published = "True"')[0].message).toBe(
+        'Field "is_published" expects True or False, but a string was given',
+      );
+      expect(check('author = 1')[0].message)
+        .toBe('"author" is a relation and can only be compared with None');
+    });
+
+    it('should warn about None values of not nullable fields', () => {
+      const book = models['core.book'];
+      const notNullable = {
+        ...models,
+        'core.book': {
+          ...book,
+          id: { ...book.id, nullable: false },
+          author: { ...book.author, nullable: false },
+        },
+      };
+      const query = 'id != None and author = None and name = None';
+      expect(validate(parse(query).ast, notNullable, 'core.book'))
+        .toStrictEqual([
+          {
+            severity: 'warning',
+            message: 'Field "id" is not nullable and can\'t be None',
+            start: 6,
+            end: 10,
+          },
+          {
+            severity: 'warning',
+            message: 'Field "author" is not nullable and can\'t be None',
+            start: 24,
+            end: 28,
+          },
+        ]);
+    });
+
+    it('should warn about malformed dates', () => {
+      expect(check('written > "yesterday"')).toStrictEqual([{
+        severity: 'warning',
+        message: 'Field "written" expects date in YYYY-MM-DD format',
+        start: 10,
+        end: 21,
+      }]);
+      expect(check('author.date_joined < "2021"')[0].message).toBe(
+        'Field "author.date_joined" expects datetime in '
+        + 'YYYY-MM-DD HH:MM[:SS] format',
+      );
+    });
+  });
+});